@@ -19,6 +19,38 @@ export const config = {
   // Storage
   uploadDir: process.env.UPLOAD_DIR || 'uploads',
   
+  // Video generation provider: 'veo', 'replicate' or 'local' (projects may override)
+  videoProvider: process.env.VIDEO_PROVIDER || 'veo',
+  replicateApiToken: process.env.REPLICATE_API_TOKEN,
+  replicateVideoModel: process.env.REPLICATE_VIDEO_MODEL || 'minimax/video-01',
+  
+  // Generation worker (run `npm run worker` and set EMBEDDED_WORKER=false to keep it out of the API process)
+  embeddedWorker: process.env.EMBEDDED_WORKER !== 'false',
+  workerConcurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 2,
+  workerLeaseMs: parseInt(process.env.WORKER_LEASE_MS, 10) || 60000,
+  workerPollIntervalMs: parseInt(process.env.WORKER_POLL_INTERVAL_MS, 10) || 2000,
+  
+  // Generation retries (exponential backoff with jitter, up to the job's maxRetries)
+  retryBaseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 30000,
+  retryMaxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 15 * 60 * 1000,
+  
+  // What happens once retries run out: 'fail', 'placeholder' or 'fallback-provider' (jobs may override)
+  generationFailurePolicy: process.env.GENERATION_FAILURE_POLICY || 'fail',
+  fallbackVideoProvider: process.env.FALLBACK_VIDEO_PROVIDER || 'local',
+
+  // Identical completed generations: 'offer' returns their video for the client to confirm, 'auto' reuses it, 'off' always generates
+  // Offer by default: without a fixed seed, asking again may be a request for a different take
+  generationReuse: process.env.GENERATION_REUSE || 'offer',
+  
+  // Outgoing webhooks (failed deliveries are retried with the generation backoff settings)
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  webhookPollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+  
+  // FFmpeg binaries (defaults to whatever is on PATH)
+  ffmpegPath: process.env.FFMPEG_PATH,
+  ffprobePath: process.env.FFPROBE_PATH,
+  
   // API Limits
   maxVideoLength: 120000, // 2 minutes in seconds
   minVideoLength: 15000, // 15 seconds
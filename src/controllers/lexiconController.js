@@ -0,0 +1,80 @@
+import { lexiconService } from '../services/lexiconService.js';
+
+// Errors from the service that mean "not yours / not there" rather than bad input
+const statusFor = (error) => {
+  if (error.message.endsWith('not found')) return 404;
+  if (error.message.endsWith('Access denied')) return 403;
+  return 400;
+};
+
+export const listLexiconEntries = async (req, res) => {
+  try {
+    const entries = await lexiconService.listEntries(req.userId, {
+      projectId: req.query.projectId,
+    });
+
+    res.status(200).json({
+      message: 'Lexicon retrieved',
+      data: entries,
+    });
+  } catch (error) {
+    res.status(statusFor(error)).json({ message: error.message });
+  }
+};
+
+export const createLexiconEntry = async (req, res) => {
+  try {
+    const { projectId, term, type, phoneme, alphabet, substitution, caseSensitive, languageCode } = req.body;
+
+    const entry = await lexiconService.createEntry(req.userId, {
+      projectId,
+      term,
+      type,
+      phoneme,
+      alphabet,
+      substitution,
+      caseSensitive,
+      languageCode,
+    });
+
+    res.status(201).json({
+      message: 'Lexicon entry created',
+      data: entry,
+    });
+  } catch (error) {
+    res.status(statusFor(error)).json({ message: error.message });
+  }
+};
+
+export const updateLexiconEntry = async (req, res) => {
+  try {
+    const { term, type, phoneme, alphabet, substitution, caseSensitive, languageCode } = req.body;
+
+    const entry = await lexiconService.updateEntry(req.userId, req.params.entryId, {
+      ...(term !== undefined && { term }),
+      ...(type !== undefined && { type }),
+      ...(phoneme !== undefined && { phoneme }),
+      ...(alphabet !== undefined && { alphabet }),
+      ...(substitution !== undefined && { substitution }),
+      ...(caseSensitive !== undefined && { caseSensitive }),
+      ...(languageCode !== undefined && { languageCode }),
+    });
+
+    res.status(200).json({
+      message: 'Lexicon entry updated',
+      data: entry,
+    });
+  } catch (error) {
+    res.status(statusFor(error)).json({ message: error.message });
+  }
+};
+
+export const deleteLexiconEntry = async (req, res) => {
+  try {
+    await lexiconService.deleteEntry(req.userId, req.params.entryId);
+
+    res.status(200).json({ message: 'Lexicon entry deleted' });
+  } catch (error) {
+    res.status(statusFor(error)).json({ message: error.message });
+  }
+};
@@ -1,3 +1,4 @@
+import fs from 'fs';
 import {
   createProject,
   getProjectById,
@@ -13,6 +14,11 @@ import {
   shareProjectWithUser,
   removeShareAccess,
 } from '../services/projectService.js';
+import { videoGenerationService } from '../services/videoGenerationService.js';
+import { sceneSourceService } from '../services/sceneSourceService.js';
+import { compilationService } from '../services/compilationService.js';
+import { Project } from '../models/Project.js';
+import { Scene } from '../models/Scene.js';
 
 export const createProjectHandler = async (req, res) => {
   try {
@@ -139,6 +145,94 @@ export const updateSceneHandler = async (req, res) => {
   }
 };
 
+export const uploadVoiceOverHandler = async (req, res) => {
+  try {
+    const scene = await Scene.findById(req.params.sceneId).catch(() => null);
+    if (!scene) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(404).json({ message: 'Scene not found' });
+    }
+
+    // Verify ownership (skip in development for local testing), as for generated voice-overs and videos
+    if (process.env.NODE_ENV !== 'development') {
+      const project = await Project.findById(scene.projectId);
+      if (!project || project.userId.toString() !== req.userId) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    // Removes the temp upload whether or not it is accepted
+    const result = await videoGenerationService.uploadVoiceOverRecording(req.userId, req.params.sceneId, req.file);
+
+    res.status(200).json({
+      message: 'Voice-over uploaded',
+      data: result, // audioUrl is a signed GCS URL (valid 24h) or a local /uploads path
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+export const uploadSourceHandler = async (req, res) => {
+  try {
+    const scene = await Scene.findById(req.params.sceneId).catch(() => null);
+    if (!scene) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(404).json({ message: 'Scene not found' });
+    }
+
+    // Verify ownership (skip in development for local testing), as for generated voice-overs and videos
+    if (process.env.NODE_ENV !== 'development') {
+      const project = await Project.findById(scene.projectId);
+      if (!project || project.userId.toString() !== req.userId) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    // Removes the temp upload whether or not it is accepted
+    const stored = await sceneSourceService.storeUpload(req.params.sceneId, req.file);
+
+    // Fit the new source to any narration and record the real scene duration, as after a generation
+    const updated = await compilationService.assembleScene(req.params.sceneId).catch((error) => {
+      console.error(`Failed to assemble scene ${req.params.sceneId}:`, error.message);
+      return stored;
+    });
+
+    res.status(200).json({
+      message: 'Scene source uploaded',
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+export const uploadSoundtrackHandler = async (req, res) => {
+  try {
+    const project = await getProjectById(req.params.projectId).catch(() => null);
+    if (!project) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (project.userId.toString() !== req.userId) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Removes the temp upload whether or not it is accepted
+    const updated = await compilationService.storeSoundtrack(req.params.projectId, req.file);
+
+    res.status(200).json({
+      message: 'Soundtrack uploaded',
+      data: updated.videoSettings.audioTrack,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 export const deleteSceneHandler = async (req, res) => {
   try {
     await deleteScene(req.params.sceneId);
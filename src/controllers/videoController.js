@@ -1,12 +1,23 @@
+import mongoose from 'mongoose';
 import {
   videoGenerationService,
 } from '../services/videoGenerationService.js';
+import {
+  jobEventService,
+  FINAL_JOB_STATUSES,
+} from '../services/jobEventService.js';
+import { compilationService } from '../services/compilationService.js';
+import { loudnessService } from '../services/loudnessService.js';
+import { captionService } from '../services/captionService.js';
+import gcsService, { SIGNED_URL_TTL_SECONDS } from '../services/gcsService.js';
 import { Project } from '../models/Project.js';
 import { Scene } from '../models/Scene.js';
 
 export const generateVideo = async (req, res) => {
   try {
-    const { sceneId, projectId, quality, resolution, aspectRatio, prompt, duration, style, captions } = req.body;
+    const {
+      sceneId, projectId, quality, resolution, aspectRatio, prompt, duration, style, failurePolicy, seed, force, reuse,
+    } = req.body;
 
     if (!sceneId && !prompt) {
       return res
@@ -14,27 +25,75 @@ export const generateVideo = async (req, res) => {
         .json({ message: 'Scene ID or prompt required' });
     }
 
+    // The job replaces the scene's clip when it completes, so the scene must exist and be the caller's
+    let scene = null;
+    if (sceneId) {
+      scene = mongoose.isValidObjectId(sceneId) ? await Scene.findById(sceneId) : null;
+      if (!scene) {
+        return res.status(404).json({ message: 'Scene not found' });
+      }
+    }
+    const targetProjectId = scene ? scene.projectId.toString() : projectId;
+
+    // Verify ownership (skip in development for local testing)
+    if (targetProjectId && process.env.NODE_ENV !== 'development') {
+      const project = mongoose.isValidObjectId(targetProjectId) ? await Project.findById(targetProjectId) : null;
+      if (!project || project.userId.toString() !== req.userId) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
     // In development mode, allow generation without database lookup
     const videoPrompt = prompt || `Video scene ${sceneId}`;
     
-    // Direct call to Google Video Service
-    const { googleVideoService } = await import('../services/googleVideoService.js');
-    
-    const job = await googleVideoService.generateVideo(videoPrompt, {
+    // Provider is chosen from the project settings or VIDEO_PROVIDER
+    const job = await videoGenerationService.generateVideo(videoPrompt, {
       quality: quality || 'standard',
       resolution: resolution || '1080p',
       aspectRatio: aspectRatio || '16:9',
       duration: duration || 5, // Use duration from request, default to 5 seconds
       style: style, // Pass style preference
-      captions: captions, // Pass caption settings
-      projectId: projectId, // Pass projectId for GCS organization
+      failurePolicy: failurePolicy, // What to do if generation keeps failing (defaults to GENERATION_FAILURE_POLICY)
+      seed: seed,
+      force: !!force, // Generate even if an identical video already exists
+      reuse: reuse, // 'auto', 'offer' or 'off' (defaults to GENERATION_REUSE)
+      projectId: targetProjectId, // Pass projectId for GCS organization
+      sceneId: sceneId,
+      userId: req.userId,
     });
 
+    if (job.status === 'reusable') {
+      return res.status(200).json({
+        message: 'An identical video already exists; send reuse "auto" to use it or force to generate again',
+        data: {
+          status: job.status,
+          reusableJobId: job.reusableJobId,
+          videoUrl: job.videoUrl,
+          provider: job.provider,
+          sceneId: sceneId,
+        },
+      });
+    }
+
+    if (job.reusedFromJobId) {
+      return res.status(200).json({
+        message: 'Reused an identical earlier video',
+        data: {
+          jobId: job.jobId,
+          status: job.status,
+          provider: job.provider,
+          reusedFromJobId: job.reusedFromJobId,
+          sceneId: sceneId,
+        },
+      });
+    }
+
     res.status(202).json({
       message: 'Video generation queued',
       data: {
         jobId: job.jobId,
         status: job.status,
+        provider: job.provider,
         sceneId: sceneId,
       },
     });
@@ -46,7 +105,7 @@ export const generateVideo = async (req, res) => {
 
 export const generateVoiceOver = async (req, res) => {
   try {
-    const { sceneId, projectId, text, voiceType } = req.body;
+    const { sceneId, projectId, text, format, voice, voiceType, speed, pitch } = req.body;
 
     if (!sceneId && !text) {
       return res
@@ -54,37 +113,38 @@ export const generateVoiceOver = async (req, res) => {
         .json({ message: 'Scene ID or text required' });
     }
 
-    // Direct call to Google TTS Service
-    const { googleTTSService } = await import('../services/googleTTSService.js');
-    
-    const voiceText = text || 'This is a sample voice-over for your video scene.';
-    
-    // Map frontend voice types to Google TTS voice names
-    const voiceMap = {
-      'male-professional': 'en-US-Neural2-A',
-      'female-professional': 'en-US-Neural2-C',
-      'male-casual': 'en-US-Neural2-E',
-      'female-casual': 'en-US-Neural2-F',
-    };
-    
-    const selectedVoice = voiceMap[voiceType] || 'en-US-Neural2-A';
-    
-    const result = await googleTTSService.generateSpeech(voiceText, {
-      voiceName: selectedVoice,
-      rate: 1.0,
-      pitch: 0,
-    });
+    let result;
+    if (sceneId) {
+      // Scene mode: the scene's script and saved voice settings, stored on the scene
+      const scene = mongoose.isValidObjectId(sceneId) ? await Scene.findById(sceneId) : null;
+      if (!scene) {
+        return res.status(404).json({ message: 'Scene not found' });
+      }
+
+      // Verify ownership (skip in development for local testing)
+      if (process.env.NODE_ENV !== 'development') {
+        const project = await Project.findById(scene.projectId);
+        if (!project || project.userId.toString() !== req.userId) {
+          return res.status(403).json({ message: 'Access denied' });
+        }
+      }
 
-    // Save the audio file
-    const filename = `voiceover_${sceneId || Date.now()}.mp3`;
-    const audioPath = await googleTTSService.saveAudioToFile(result.audioContent, filename);
+      result = await videoGenerationService.generateVoiceOver(req.userId, sceneId, scene.projectId.toString());
+    } else {
+      // Free-text mode for previews: nothing is saved to a scene
+      result = await videoGenerationService.generateTextVoiceOver(req.userId, text, {
+        projectId,
+        format,
+        voice,
+        voiceType,
+        speed,
+        pitch,
+      });
+    }
 
     res.status(200).json({
       message: 'Voice-over generated successfully',
-      data: {
-        audioUrl: `/uploads/audio/${filename}`,
-        sceneId: sceneId,
-      },
+      data: result, // audioUrl is a signed GCS URL (valid 24h) or a local /uploads path
     });
   } catch (error) {
     console.error('Voice-over generation error:', error);
@@ -96,9 +156,7 @@ export const getJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    // Direct call to Google Video Service
-    const { googleVideoService } = await import('../services/googleVideoService.js');
-    const status = await googleVideoService.getVideoStatus(jobId);
+    const status = await videoGenerationService.getVideoStatus(jobId);
 
     res.status(200).json({
       message: 'Job status retrieved',
@@ -115,26 +173,163 @@ export const getJobStatus = async (req, res) => {
   }
 };
 
+export const streamJobEvents = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await videoGenerationService.findJob(jobId).catch(() => null);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Verify ownership (skip in development for local testing)
+    if (process.env.NODE_ENV !== 'development' && job.userId.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      if (closed) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (event.type !== 'progress' && FINAL_JOB_STATUSES.includes(event.status)) {
+        close();
+      }
+    };
+
+    // Subscribe before reading the current state so no update falls in between
+    unsubscribe = jobEventService.subscribeToJob(jobId, send);
+    req.on('close', close);
+
+    const status = await videoGenerationService.getVideoStatus(jobId);
+    send({
+      ...jobEventService.toEvent(job, 'status'),
+      status: status.status,
+      progress: status.progress,
+      error: status.error || null,
+      videoUrl: status.videoUrl,
+    });
+  } catch (error) {
+    console.error('Job event stream error:', error);
+    if (!res.headersSent) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.end();
+  }
+};
+
+export const cancelJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await videoGenerationService.findJob(jobId).catch(() => null);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Verify ownership (skip in development for local testing)
+    if (process.env.NODE_ENV !== 'development' && job.userId.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!['queued', 'processing'].includes(job.status)) {
+      return res
+        .status(409)
+        .json({ message: `Job is already ${job.status}` });
+    }
+
+    const cancelled = await videoGenerationService.cancelVideoGeneration(jobId);
+
+    res.status(200).json({
+      message: 'Job cancelled',
+      data: {
+        jobId,
+        status: cancelled.status,
+        sceneId: cancelled.sceneId,
+      },
+    });
+  } catch (error) {
+    console.error('Job cancellation error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+export const assembleScene = async (req, res) => {
+  try {
+    const { sceneId } = req.params;
+
+    const scene = await Scene.findById(sceneId).catch(() => null);
+    if (!scene) {
+      return res.status(404).json({ message: 'Scene not found' });
+    }
+
+    // Verify ownership (skip in development for local testing)
+    if (process.env.NODE_ENV !== 'development') {
+      const project = await Project.findById(scene.projectId);
+      if (!project || project.userId.toString() !== req.userId) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    const updated = await compilationService.assembleScene(sceneId);
+
+    res.status(200).json({
+      message: 'Scene assembled',
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 export const compileProject = async (req, res) => {
   try {
     const { projectId } = req.params;
 
     // Verify ownership (skip in development for local testing)
-    let project = null;
     if (process.env.NODE_ENV !== 'development') {
-      project = await Project.findById(projectId);
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
       if (project.userId.toString() !== req.userId) {
         return res.status(403).json({ message: 'Access denied' });
       }
-    } else {
-      project = await Project.findById(projectId).catch(() => null);
     }
 
-    // Check all scenes are complete
+    // loudnessPreset (web, podcast, broadcast or off) overrides the project's setting for this export;
+    // an unknown one is rejected here rather than failing the queued compile
+    const loudnessPreset = req.body?.loudnessPreset;
+    if (loudnessPreset !== undefined && loudnessPreset !== null) {
+      try {
+        loudnessService.getPreset(loudnessPreset);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    // Check all scenes are complete (degraded scenes have a placeholder clip and can be compiled)
     const scenes = await Scene.find({ projectId });
-    const allComplete = scenes.every(
+    const allComplete = scenes.length > 0 && scenes.every(
       (scene) =>
-        scene.videoStatus === 'completed' &&
+        ['completed', 'degraded'].includes(scene.videoStatus) &&
         (!scene.voiceSettings.enabled || scene.voiceOverStatus === 'completed')
     );
 
@@ -149,26 +344,49 @@ export const compileProject = async (req, res) => {
       });
     }
 
-    // Compile videos (placeholder)
-    const compiledVideoUrl = await compileVideos(scenes, project);
+    // Rendering runs in the background; poll GET /compile/:projectId for the result
+    const project = await compilationService.queueCompilation(projectId, { loudnessPreset });
+    if (!project) {
+      return res.status(409).json({ message: 'Project is already being compiled' });
+    }
 
-    // Update project
-    const updated = await Project.findByIdAndUpdate(
-      projectId,
-      {
-        finalVideoUrl: compiledVideoUrl,
-        finalVideoStatus: 'completed',
-        status: 'completed',
-        'metadata.generationEndTime': new Date(),
+    res.status(202).json({
+      message: 'Compilation queued',
+      data: {
+        projectId: project._id,
+        status: project.finalVideoStatus,
+        statusUrl: `/api/videos/compile/${project._id}`,
       },
-      { new: true }
-    );
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
 
+export const getCompileStatus = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    // Verify ownership (skip in development for local testing)
+    if (process.env.NODE_ENV !== 'development' && project.userId.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const completed = project.finalVideoStatus === 'completed';
     res.status(200).json({
-      message: 'Project compiled successfully',
+      message: 'Compile status retrieved',
       data: {
-        projectId: updated._id,
-        videoUrl: compiledVideoUrl,
+        projectId: project._id,
+        status: project.finalVideoStatus,
+        videoUrl: completed ? project.finalVideoUrl : null,
+        totalDuration: completed ? project.totalDuration : null,
+        processingTimeMs: completed ? project.metadata?.processingTimeMs : null,
+        loudness: completed ? project.metadata?.loudness || null : null,
+        error: project.finalVideoStatus === 'failed' ? project.compilation?.errorMessage || null : null,
       },
     });
   } catch (error) {
@@ -176,6 +394,42 @@ export const compileProject = async (req, res) => {
   }
 };
 
+export const downloadCaptions = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const format = req.query.format || 'srt';
+
+    if (!['srt', 'vtt'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be srt or vtt' });
+    }
+
+    const project = await Project.findById(projectId).catch(() => null);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Verify access (skip in development for local testing)
+    if (process.env.NODE_ENV !== 'development') {
+      if (
+        project.userId.toString() !== req.userId &&
+        !project.sharedWith.some((item) => item.userId?.toString() === req.userId)
+      ) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    const cues = await captionService.getProjectCues(projectId);
+
+    res
+      .status(200)
+      .type(format === 'vtt' ? 'text/vtt' : 'application/x-subrip')
+      .attachment(`${project.title}.${format}`)
+      .send(captionService.format(cues, format));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 export const downloadVideo = async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -197,6 +451,11 @@ export const downloadVideo = async (req, res) => {
         .json({ message: 'Video not yet compiled or available' });
     }
 
+    // Signed GCS URLs expire, so sign a fresh one for each download
+    const downloadUrl = project.finalVideoGcsFileName
+      ? await gcsService.getSignedUrl(project.finalVideoGcsFileName, SIGNED_URL_TTL_SECONDS)
+      : project.finalVideoUrl;
+
     // Increment download count
     await Project.findByIdAndUpdate(projectId, {
       downloadCount: project.downloadCount + 1,
@@ -205,7 +464,7 @@ export const downloadVideo = async (req, res) => {
     res.status(200).json({
       message: 'Download started',
       data: {
-        downloadUrl: project.finalVideoUrl,
+        downloadUrl,
         fileName: `${project.title}.mp4`,
       },
     });
@@ -213,22 +472,3 @@ export const downloadVideo = async (req, res) => {
     res.status(400).json({ message: error.message });
   }
 };
-
-/**
- * Compile multiple video segments into final MP4
- * Placeholder - actual implementation uses FFmpeg or similar
- */
-async function compileVideos(scenes, project) {
-  try {
-    // In real implementation:
-    // 1. Download all scene videos
-    // 2. Use FFmpeg to concatenate with transitions
-    // 3. Add voice-overs and audio bed
-    // 4. Export as MP4
-    // 5. Upload to storage
-
-    return `https://storage.example.com/projects/${project._id}_final.mp4`;
-  } catch (error) {
-    throw new Error(`Video compilation failed: ${error.message}`);
-  }
-}
@@ -0,0 +1,35 @@
+import { voicePreviewService } from '../services/voicePreviewService.js';
+
+export const listVoices = async (req, res) => {
+  try {
+    const voices = await voicePreviewService.listVoices(req.query.languageCode || null);
+
+    res.status(200).json({
+      message: 'Voices retrieved',
+      data: voices,
+    });
+  } catch (error) {
+    console.error('Voice catalogue error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const previewVoice = async (req, res) => {
+  try {
+    const { voice, speed, pitch } = req.body;
+
+    if (!voice) {
+      return res.status(400).json({ message: 'voice is required' });
+    }
+
+    const preview = await voicePreviewService.getPreview({ voice, speed, pitch });
+
+    res.status(200).json({
+      message: preview.cached ? 'Voice preview retrieved' : 'Voice preview generated',
+      data: preview,
+    });
+  } catch (error) {
+    console.error('Voice preview error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -0,0 +1,116 @@
+import { webhookService } from '../services/webhookService.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ message: 'Webhook URL required' });
+    }
+
+    const endpoint = await webhookService.createEndpoint(req.userId, {
+      url,
+      events,
+      description,
+    });
+
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it will not be shown again',
+      data: endpoint,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+export const listWebhooks = async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.userId);
+
+    res.status(200).json({
+      message: 'Webhooks retrieved',
+      data: {
+        endpoints,
+        availableEvents: WEBHOOK_EVENTS,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+export const getWebhook = async (req, res) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.userId, req.params.webhookId);
+
+    res.status(200).json({
+      message: 'Webhook retrieved',
+      data: endpoint,
+    });
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+};
+
+export const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const endpoint = await webhookService.updateEndpoint(req.userId, req.params.webhookId, {
+      url,
+      events,
+      description,
+      active,
+    });
+
+    res.status(200).json({
+      message: 'Webhook updated',
+      data: endpoint,
+    });
+  } catch (error) {
+    const status = error.message === 'Webhook not found' ? 404 : 400;
+    res.status(status).json({ message: error.message });
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  try {
+    await webhookService.deleteEndpoint(req.userId, req.params.webhookId);
+
+    res.status(200).json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+};
+
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const { limit, status } = req.query;
+
+    const deliveries = await webhookService.listDeliveries(req.userId, req.params.webhookId, {
+      limit,
+      status,
+    });
+
+    res.status(200).json({
+      message: 'Deliveries retrieved',
+      data: deliveries,
+    });
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+};
+
+export const testWebhook = async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(req.userId, req.params.webhookId);
+
+    res.status(200).json({
+      message: delivery?.status === 'succeeded' ? 'Test event delivered' : 'Test event not delivered',
+      data: delivery,
+    });
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+};
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import { config } from './config.js';
+
+// Database connection
+export async function connectDB() {
+  try {
+    if (!config.mongodbUri) {
+      throw new Error('MONGODB_URI not configured');
+    }
+
+    await mongoose.connect(config.mongodbUri);
+
+    console.log('MongoDB connected successfully');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
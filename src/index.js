@@ -1,13 +1,21 @@
 import express from 'express';
 import cors from 'cors';
-import mongoose from 'mongoose';
 import swaggerUi from 'swagger-ui-express';
 import { config } from './config.js';
 import { swaggerSpec } from './swagger.js';
+import { connectDB } from './db.js';
+import { jobWorker } from './services/jobWorker.js';
+import { compilationService } from './services/compilationService.js';
+import { jobEventService } from './services/jobEventService.js';
+import { attachWebSocketServer } from './websocket.js';
+import { webhookService } from './services/webhookService.js';
 
 import authRoutes from './routes/authRoutes.js';
 import projectRoutes from './routes/projectRoutes.js';
 import videoRoutes from './routes/videoRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import lexiconRoutes from './routes/lexiconRoutes.js';
+import voiceRoutes from './routes/voiceRoutes.js';
 
 const app = express();
 
@@ -84,6 +92,9 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/videos', videoRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/lexicon', lexiconRoutes);
+app.use('/api/voices', voiceRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -98,30 +109,27 @@ app.use((req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-// Database connection
-async function connectDB() {
-  try {
-    if (!config.mongodbUri) {
-      throw new Error('MONGODB_URI not configured');
-    }
-
-    await mongoose.connect(config.mongodbUri);
-
-    console.log('MongoDB connected successfully');
-  } catch (error) {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
-  }
-}
-
 // Start server
 async function startServer() {
   try {
     await connectDB();
 
+    // Run the generation worker in-process unless dedicated workers are deployed
+    if (config.embeddedWorker) {
+      jobWorker.start();
+      compilationService.start();
+    } else {
+      // Dedicated workers update jobs in another process; stream their changes to live clients
+      jobEventService.watchDatabase();
+    }
+
+    // Retry failed webhook deliveries
+    webhookService.start();
+
     const server = app.listen(config.port, () => {
       console.log(`Server running on port ${config.port}`);
     });
+    attachWebSocketServer(server);
 
     // Handle server errors
     server.on('error', (error) => {
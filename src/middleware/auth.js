@@ -7,7 +7,7 @@ import { config } from '../config.js';
  * In development mode, bypasses auth completely
  */
 // Consistent dev user ID for development mode
-const DEV_USER_ID = '000000000000000000000001';
+export const DEV_USER_ID = '000000000000000000000001';
 
 export const authMiddleware = (req, res, next) => {
   try {
@@ -44,6 +44,17 @@ export const authMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * authMiddleware for event streams: EventSource clients can't set headers, so ?token= is accepted too
+ * Only for streaming routes; anywhere else the token would end up in access logs and Referer headers.
+ */
+export const streamAuthMiddleware = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  authMiddleware(req, res, next);
+};
+
 /**
  * Generate JWT token (legacy/fallback)
  */
@@ -0,0 +1,81 @@
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+
+// A 10-minute 48 kHz stereo WAV is about 110 MB
+const MAX_AUDIO_UPLOAD_BYTES = 200 * 1024 * 1024;
+const MAX_SOURCE_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+// Narration recordings by extension, with the MIME types browsers and recorders send for them
+const AUDIO_UPLOAD_TYPES = {
+  '.wav': ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  '.mp3': ['audio/mpeg', 'audio/mp3'],
+  '.m4a': ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac'],
+};
+
+// Scene sources: stock footage and stills (screenshots, photos)
+const SOURCE_UPLOAD_TYPES = {
+  '.mp4': ['video/mp4'],
+  '.mov': ['video/quicktime'],
+  '.webm': ['video/webm'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+};
+
+/**
+ * Middleware accepting a single file in one multipart/form-data field
+ * Files land in the temp dir (handlers transcode and store them elsewhere, then remove them);
+ * rejected, oversized or missing files get a 400 instead of reaching the handler.
+ */
+const createUploadMiddleware = ({ field, types, maxBytes, typeError }) => {
+  const upload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const mimeTypes = types[path.extname(file.originalname).toLowerCase()];
+      // Some clients send application/octet-stream; the file is probed before use anyway
+      if (!mimeTypes || !(mimeTypes.includes(file.mimetype) || file.mimetype === 'application/octet-stream')) {
+        cb(new Error(typeError));
+        return;
+      }
+      cb(null, true);
+    },
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File must be at most ${maxBytes / 1024 / 1024} MB`
+          : error.message;
+        return res.status(400).json({ message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: `File required (form field "${field}")` });
+      }
+      next();
+    });
+  };
+};
+
+/**
+ * A narration recording or music track (WAV, MP3 or M4A) in the `audio` field
+ */
+export const audioUploadMiddleware = createUploadMiddleware({
+  field: 'audio',
+  types: AUDIO_UPLOAD_TYPES,
+  maxBytes: MAX_AUDIO_UPLOAD_BYTES,
+  typeError: 'Audio must be a WAV, MP3 or M4A file',
+});
+
+/**
+ * Scene footage (MP4, MOV, WebM) or a still (JPEG, PNG, WebP) in the `file` field
+ */
+export const sourceUploadMiddleware = createUploadMiddleware({
+  field: 'file',
+  types: SOURCE_UPLOAD_TYPES,
+  maxBytes: MAX_SOURCE_UPLOAD_BYTES,
+  typeError: 'Scene source must be an MP4, MOV or WebM video or a JPEG, PNG or WebP image',
+});
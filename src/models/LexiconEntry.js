@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const lexiconEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // null for workspace-wide entries, which apply to all of the user's projects
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // phoneme: read with the given pronunciation; substitution: read the replacement text instead
+    type: {
+      type: String,
+      enum: ['phoneme', 'substitution'],
+      required: true,
+    },
+    phoneme: {
+      type: String,
+      default: null,
+    },
+    alphabet: {
+      type: String,
+      enum: ['ipa', 'x-sampa'],
+      default: 'ipa',
+    },
+    substitution: {
+      type: String,
+      default: null,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    // Only apply to voices of this language (e.g. 'en' or 'en-GB'); null applies to every language
+    languageCode: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+lexiconEntrySchema.index({ userId: 1, projectId: 1, term: 1 }, { unique: true });
+
+export const LexiconEntry = mongoose.model('LexiconEntry', lexiconEntrySchema);
@@ -60,10 +60,47 @@ const projectSchema = new mongoose.Schema(
         enum: ['720p', '1080p', '4k'],
         default: '1080p',
       },
+      // Overrides the VIDEO_PROVIDER environment default for this project
+      provider: {
+        type: String,
+        enum: ['veo', 'replicate', 'local'],
+      },
+      // Background music for compilation: looped/trimmed, faded, and ducked under voice-overs
+      // Set by the soundtrack upload; audioUrl is a signed GCS URL or a local /uploads path
       audioTrack: {
         enabled: Boolean,
         audioUrl: String,
-        volume: Number,
+        gcsFileName: String,
+        volume: Number, // 0-1 gain, defaults to 0.3
+      },
+      // Loudness normalization of the final mix: web -14 LUFS, podcast -16, broadcast -23 (EBU R128), or off
+      loudness: {
+        preset: {
+          type: String,
+          enum: ['web', 'podcast', 'broadcast', 'off'],
+          default: 'web',
+        },
+      },
+      // Captions built from scene scripts, available as SRT/WebVTT and optionally burned in on compile
+      captions: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        burnIn: {
+          type: Boolean,
+          default: false,
+        },
+        style: {
+          type: String,
+          enum: ['classic', 'boxed', 'bold'],
+          default: 'classic',
+        },
+        fontSize: {
+          type: String,
+          enum: ['small', 'medium', 'large'],
+          default: 'medium',
+        },
       },
     },
     scenes: [
@@ -76,14 +113,37 @@ const projectSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    finalVideoGcsFileName: {
+      type: String,
+      default: null,
+    },
     finalVideoStatus: {
       type: String,
-      enum: ['pending', 'generating', 'completed', 'failed'],
+      enum: ['pending', 'queued', 'generating', 'completed', 'failed'],
       default: 'pending',
     },
+    // Background compile: the queued run's options, the dispatcher lease while it renders and the last error
+    compilation: {
+      loudnessPreset: {
+        type: String,
+        default: null,
+      },
+      queuedAt: {
+        type: Date,
+        default: null,
+      },
+      lockedUntil: {
+        type: Date,
+        default: null,
+      },
+      errorMessage: {
+        type: String,
+        default: null,
+      },
+    },
     totalDuration: {
       type: Number,
-      default: 0,
+      default: 0, // milliseconds
     },
     viewCount: {
       type: Number,
@@ -102,6 +162,24 @@ const projectSchema = new mongoose.Schema(
       generationStartTime: Date,
       generationEndTime: Date,
       processingTimeMs: Number,
+      // Measured loudness of the last compile, before and after normalization (LUFS, dBTP, LU)
+      loudness: {
+        preset: String,
+        targetLufs: Number,
+        truePeakLimit: Number,
+        normalized: Boolean,
+        input: {
+          integrated: Number,
+          truePeak: Number,
+          range: Number,
+        },
+        output: {
+          integrated: Number,
+          truePeak: Number,
+          range: Number,
+        },
+        measuredAt: Date,
+      },
     },
   },
   {
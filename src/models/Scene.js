@@ -23,21 +23,97 @@ const sceneSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // What the voice-over says, when it differs from the script; validated on save
+    narration: {
+      type: String,
+      default: null,
+    },
+    narrationFormat: {
+      type: String,
+      enum: ['text', 'ssml', 'markup'],
+      default: 'ssml',
+    },
     duration: {
       type: Number,
       default: 5000, // milliseconds
     },
+    // Where the scene's picture comes from: an AI generation, uploaded footage, an uploaded still
+    // (animated with a Ken Burns pan and zoom) or a plain color card with text
+    sourceType: {
+      type: String,
+      enum: ['generated', 'uploaded-video', 'image', 'color-card'],
+      default: 'generated',
+    },
+    // Uploaded still for image scenes (uploaded footage is stored as the scene's video)
+    sourceImageUrl: {
+      type: String,
+      default: null,
+    },
+    sourceImageGcsFileName: {
+      type: String,
+      default: null,
+    },
+    // How long an image or color card stays on screen when the scene has no voice-over (ms)
+    stillDuration: {
+      type: Number,
+      default: 5000,
+    },
+    // Image scenes zoom from startZoom to endZoom while the view's centre moves from (startX, startY)
+    // to (endX, endY), given as fractions of the image width and height
+    kenBurns: {
+      startZoom: { type: Number, default: 1.0, min: 1, max: 3 },
+      endZoom: { type: Number, default: 1.15, min: 1, max: 3 },
+      startX: { type: Number, default: 0.5, min: 0, max: 1 },
+      startY: { type: Number, default: 0.5, min: 0, max: 1 },
+      endX: { type: Number, default: 0.5, min: 0, max: 1 },
+      endY: { type: Number, default: 0.5, min: 0, max: 1 },
+    },
+    colorCard: {
+      color: {
+        type: String,
+        default: 'black', // Color name or #RRGGBB
+      },
+      text: {
+        type: String,
+        default: null, // Defaults to the scene title
+      },
+    },
     videoUrl: {
       type: String,
       default: null,
     },
+    videoGcsFileName: {
+      type: String,
+      default: null,
+    },
+    fitMode: {
+      type: String,
+      enum: ['freeze', 'loop'], // How a clip shorter than its narration is extended
+      default: 'freeze',
+    },
+    assembledVideoUrl: {
+      type: String,
+      default: null, // Clip fitted to the voice-over, with the narration muxed in
+    },
+    assembledGcsFileName: {
+      type: String,
+      default: null,
+    },
     videoStatus: {
       type: String,
-      enum: ['pending', 'generating', 'completed', 'failed'],
+      enum: ['pending', 'generating', 'completed', 'degraded', 'failed', 'cancelled'],
       default: 'pending',
     },
     voiceOverUrl: {
       type: String,
+      default: null, // Signed GCS URL, or /uploads/voiceovers/... when cloud storage is unavailable
+    },
+    voiceOverGcsFileName: {
+      type: String,
+      default: null,
+    },
+    voiceOverUrlExpiresAt: {
+      type: Date,
       default: null,
     },
     voiceOverStatus: {
@@ -45,14 +121,42 @@ const sceneSchema = new mongoose.Schema(
       enum: ['pending', 'generating', 'completed', 'failed'],
       default: 'pending',
     },
+    voiceOverSource: {
+      type: String,
+      enum: ['tts', 'upload'], // Synthesized from the script, or a recording the user uploaded
+      default: 'tts',
+    },
+    // Speech timing from TTS timepoints, in milliseconds from the start of the voice-over
+    voiceOverTimings: {
+      words: [
+        {
+          _id: false,
+          text: String,
+          startMs: Number,
+          endMs: Number,
+        },
+      ],
+      sentences: [
+        {
+          _id: false,
+          text: String,
+          startMs: Number,
+          endMs: Number,
+        },
+      ],
+      durationMs: {
+        type: Number,
+        default: null,
+      },
+    },
     voiceSettings: {
       enabled: {
         type: Boolean,
         default: false,
       },
+      // Any voice from the TTS catalogue (validated on save); the language comes from its name
       voice: {
         type: String,
-        enum: ['en-US-Neural2-A', 'en-US-Neural2-C', 'en-US-Neural2-E'],
         default: 'en-US-Neural2-A',
       },
       speed: {
@@ -61,6 +165,13 @@ const sceneSchema = new mongoose.Schema(
         max: 2.0,
         default: 1.0,
       },
+      // Semitones relative to the voice's natural pitch
+      pitch: {
+        type: Number,
+        min: -20,
+        max: 20,
+        default: 0,
+      },
     },
     stylePreset: {
       type: String,
@@ -87,10 +198,18 @@ const sceneSchema = new mongoose.Schema(
         enum: ['720p', '1080p', '4k'],
         default: '1080p',
       },
+      clipDurationMs: {
+        type: Number,
+        default: null,
+      },
+      voiceOverDurationMs: {
+        type: Number,
+        default: null,
+      },
     },
     errors: [
       {
-        type: String,
+        type: { type: String }, // error message
         timestamp: Date,
       },
     ],
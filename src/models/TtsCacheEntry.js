@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Entries nobody has used for this long are dropped (the audio object is overwritten if it is ever needed again)
+const CACHE_EXPIRY_SECONDS = 90 * 24 * 60 * 60;
+
+const timingSchema = {
+  _id: false,
+  text: String,
+  startMs: Number,
+  endMs: Number,
+};
+
+const ttsCacheEntrySchema = new mongoose.Schema(
+  {
+    // Hash of the normalized SSML, voice, language, rate, pitch and encoding (see ttsCacheService.getKey)
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    voiceName: {
+      type: String,
+      required: true,
+    },
+    languageCode: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      default: 1.0,
+    },
+    pitch: {
+      type: Number,
+      default: 0,
+    },
+    // Null when GCS was unavailable and only the local copy exists
+    gcsFileName: {
+      type: String,
+      default: null,
+    },
+    sizeBytes: {
+      type: Number,
+      default: 0,
+    },
+    timings: {
+      words: [timingSchema],
+      sentences: [timingSchema],
+      durationMs: {
+        type: Number,
+        default: null,
+      },
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ttsCacheEntrySchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: CACHE_EXPIRY_SECONDS });
+
+export const TtsCacheEntry = mongoose.model('TtsCacheEntry', ttsCacheEntrySchema);
@@ -2,15 +2,16 @@ import mongoose from 'mongoose';
 
 const videoGenerationJobSchema = new mongoose.Schema(
   {
+    // Optional so prompt-only generations (no saved scene) can be tracked too
     projectId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Project',
-      required: true,
+      default: null,
     },
     sceneId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Scene',
-      required: true,
+      default: null,
     },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -19,17 +20,73 @@ const videoGenerationJobSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['queued', 'processing', 'completed', 'failed'],
+      // degraded: finished with a placeholder or fallback video instead of a real generation
+      enum: ['queued', 'processing', 'completed', 'degraded', 'failed', 'cancelled'],
       default: 'queued',
     },
     script: {
       type: String,
       required: true,
     },
+    provider: {
+      type: String,
+      enum: ['veo', 'replicate', 'local'],
+      default: 'veo',
+    },
+    // What to do once retries are exhausted (see VideoGenerationService.applyFailurePolicy)
+    failurePolicy: {
+      type: String,
+      enum: ['fail', 'placeholder', 'fallback-provider'],
+      default: 'fail',
+    },
+    // Provider the job originally failed on, set when it was re-queued on the fallback provider
+    fallbackFrom: {
+      type: String,
+      default: null,
+    },
+    // Whether the job consumed the user's monthly video quota (refunded on failure)
+    quotaCharged: {
+      type: Boolean,
+      default: false,
+    },
+    // Hash of the provider, model, prompt and the output settings it uses (see VideoGenerationService.getGenerationFingerprint)
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+    // Completed job whose video this job reused instead of generating again
+    reusedFromJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VideoGenerationJob',
+      default: null,
+    },
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
     videoUrl: {
       type: String,
       default: null,
     },
+    // When the stored signed videoUrl stops working
+    videoUrlExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    videoPath: {
+      type: String,
+      default: null,
+    },
+    gcsFileName: {
+      type: String,
+      default: null,
+    },
     duration: {
       type: Number,
       default: null,
@@ -58,6 +115,11 @@ const videoGenerationJobSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Provider operation ID (full Veo operation name, Replicate prediction ID), used to resume polling
+    operationName: {
+      type: String,
+      default: null,
+    },
     errorMessage: {
       type: String,
       default: null,
@@ -70,6 +132,35 @@ const videoGenerationJobSchema = new mongoose.Schema(
       type: Number,
       default: 3,
     },
+    // Earliest time a re-queued job may be claimed again (exponential backoff)
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    retryHistory: [
+      {
+        _id: false,
+        attempt: Number,
+        errorMessage: String,
+        errorType: {
+          type: String,
+          enum: ['transient', 'permanent'],
+        },
+        statusCode: Number,
+        provider: String,
+        failedAt: Date,
+        nextAttemptAt: Date,
+      },
+    ],
+    // Worker lease: the job belongs to lockedBy until lockedUntil, after which any worker may reclaim it
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
     processingStartTime: Date,
     processingEndTime: Date,
   },
@@ -78,6 +169,10 @@ const videoGenerationJobSchema = new mongoose.Schema(
   }
 );
 
+// Supports the worker's claim query (queued jobs, or processing jobs with an expired lease)
+videoGenerationJobSchema.index({ status: 1, lockedUntil: 1, createdAt: 1 });
+videoGenerationJobSchema.index({ userId: 1, projectId: 1, fingerprint: 1, status: 1 });
+
 export const VideoGenerationJob = mongoose.model(
   'VideoGenerationJob',
   videoGenerationJobSchema
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Exact JSON body sent to the endpoint (signed as-is)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    // Earliest time the next attempt may run (exponential backoff)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Dispatcher lease while an attempt is in flight
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    attempts: [
+      {
+        _id: false,
+        attempt: Number,
+        statusCode: Number,
+        error: String,
+        durationMs: Number,
+        attemptedAt: Date,
+      },
+    ],
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Supports the dispatcher's claim query and the per-endpoint delivery log
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'scene.video.completed',
+  'scene.video.degraded',
+  'job.failed',
+  'job.cancelled',
+  'voiceover.completed',
+  'project.compiled',
+];
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      match: /^https?:\/\/.+/,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    // Events this endpoint receives; '*' subscribes to everything
+    events: {
+      type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }],
+      default: ['*'],
+    },
+    // HMAC-SHA256 signing key, only returned when the endpoint is created
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['succeeded', 'failed', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
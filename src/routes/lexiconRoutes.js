@@ -0,0 +1,118 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  listLexiconEntries,
+  createLexiconEntry,
+  updateLexiconEntry,
+  deleteLexiconEntry,
+} from '../controllers/lexiconController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/lexicon:
+ *   get:
+ *     tags:
+ *       - Pronunciation Lexicon
+ *     summary: List lexicon entries
+ *     description: Workspace-wide entries, plus the project's own entries when projectId is given
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lexicon retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LexiconEntry'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ *   post:
+ *     tags:
+ *       - Pronunciation Lexicon
+ *     summary: Add a lexicon entry
+ *     description: |
+ *       Map a term to a phoneme (IPA or X-SAMPA) or a substitution. Entries without projectId apply to all
+ *       of your projects; a project entry overrides a workspace entry for the same term. Entries are applied
+ *       to every voice-over request.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LexiconEntryRequest'
+ *     responses:
+ *       201:
+ *         description: Lexicon entry created
+ *       400:
+ *         description: Invalid entry, or the term already exists in this scope
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.get('/', authMiddleware, listLexiconEntries);
+router.post('/', authMiddleware, createLexiconEntry);
+
+/**
+ * @swagger
+ * /api/lexicon/{entryId}:
+ *   put:
+ *     tags:
+ *       - Pronunciation Lexicon
+ *     summary: Update a lexicon entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LexiconEntryRequest'
+ *     responses:
+ *       200:
+ *         description: Lexicon entry updated
+ *       400:
+ *         description: Invalid entry
+ *       404:
+ *         description: Lexicon entry not found
+ *   delete:
+ *     tags:
+ *       - Pronunciation Lexicon
+ *     summary: Delete a lexicon entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lexicon entry deleted
+ *       404:
+ *         description: Lexicon entry not found
+ */
+router.put('/:entryId', authMiddleware, updateLexiconEntry);
+router.delete('/:entryId', authMiddleware, deleteLexiconEntry);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
+import { audioUploadMiddleware, sourceUploadMiddleware } from '../middleware/upload.js';
 import {
   createProjectHandler,
   getProject,
@@ -9,6 +10,9 @@ import {
   addScene,
   updateSceneHandler,
   deleteSceneHandler,
+  uploadVoiceOverHandler,
+  uploadSourceHandler,
+  uploadSoundtrackHandler,
   reorderScenesHandler,
   shareProject,
   getSharedProject,
@@ -97,7 +101,9 @@ router.get('/', authMiddleware, listProjects);
  *     tags:
  *       - Projects
  *     summary: Update project
- *     description: Update project details
+ *     description: |
+ *       Update project details. Only title, description, thumbnail, videoSettings, template and tags are
+ *       applied; other fields are ignored. An unknown videoSettings.loudness.preset is rejected with 400.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -229,6 +235,185 @@ router.post('/:projectId/scenes', authMiddleware, addScene);
 router.put('/scenes/:sceneId', authMiddleware, updateSceneHandler);
 router.delete('/scenes/:sceneId', authMiddleware, deleteSceneHandler);
 
+/**
+ * @swagger
+ * /api/projects/scenes/{sceneId}/voiceover/upload:
+ *   post:
+ *     tags:
+ *       - Scenes
+ *     summary: Upload a narration recording
+ *     description: |
+ *       Use your own recording (WAV, MP3 or M4A, up to 10 minutes) as the scene's voice-over instead of
+ *       Text-to-Speech. The audio is transcoded to MP3 and stored like a generated voice-over, so
+ *       compilation and captions use it the same way. Uploads don't count against the voice-over quota.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - audio
+ *             properties:
+ *               audio:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Voice-over uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sceneId:
+ *                       type: string
+ *                     audioUrl:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                       enum: [upload]
+ *                     durationMs:
+ *                       type: integer
+ *                     voiceOverStatus:
+ *                       type: string
+ *       400:
+ *         description: Missing, unsupported, unreadable or too long audio
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Scene not found
+ */
+router.post('/scenes/:sceneId/voiceover/upload', authMiddleware, audioUploadMiddleware, uploadVoiceOverHandler);
+
+/**
+ * @swagger
+ * /api/projects/scenes/{sceneId}/source/upload:
+ *   post:
+ *     tags:
+ *       - Scenes
+ *     summary: Upload footage or an image as the scene source
+ *     description: |
+ *       Use stock footage (MP4, MOV or WebM, up to 10 minutes) or a still (JPEG, PNG or WebP) instead of
+ *       AI generation. Footage is transcoded to H.264 and becomes the scene's video (sourceType
+ *       `uploaded-video`); stills are animated with the scene's Ken Burns settings at compile time
+ *       (sourceType `image`). The scene is then assembled, so its duration is measured right away.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Scene source uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Scene'
+ *       400:
+ *         description: Missing, unsupported, unreadable or too long file
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Scene not found
+ */
+router.post('/scenes/:sceneId/source/upload', authMiddleware, sourceUploadMiddleware, uploadSourceHandler);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/soundtrack/upload:
+ *   post:
+ *     tags:
+ *       - Projects
+ *     summary: Upload the project's music track
+ *     description: |
+ *       Upload background music (WAV, MP3 or M4A, up to 30 minutes) for the compiled video. It is
+ *       transcoded to stereo AAC, stored under the project and enabled as videoSettings.audioTrack;
+ *       volume is kept. Only tracks uploaded here are mixed in at compile time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - audio
+ *             properties:
+ *               audio:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Soundtrack uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     audioUrl:
+ *                       type: string
+ *                     gcsFileName:
+ *                       type: string
+ *                       nullable: true
+ *                     volume:
+ *                       type: number
+ *       400:
+ *         description: Missing, unsupported, unreadable or too long audio
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.post('/:projectId/soundtrack/upload', authMiddleware, audioUploadMiddleware, uploadSoundtrackHandler);
+
 /**
  * @swagger
  * /api/projects/{projectId}/reorder-scenes:
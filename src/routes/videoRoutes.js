@@ -1,11 +1,16 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, streamAuthMiddleware } from '../middleware/auth.js';
 import {
   generateVideo,
   generateVoiceOver,
   getJobStatus,
+  streamJobEvents,
+  cancelJob,
+  assembleScene,
   compileProject,
+  getCompileStatus,
   downloadVideo,
+  downloadCaptions,
 } from '../controllers/videoController.js';
 
 const router = express.Router();
@@ -17,7 +22,12 @@ const router = express.Router();
  *     tags:
  *       - Video Generation
  *     summary: Generate video
- *     description: Queue a video generation job for a scene
+ *     description: |
+ *       Queue a video generation job for a scene. If you already have a completed generation in the same
+ *       project with the same provider, model, prompt and the duration, aspect ratio, resolution and seed
+ *       that provider uses, its video is offered back
+ *       (200, status "reusable") by default; send reuse "auto" to reuse it without calling the provider
+ *       or charging quota, or force to generate anyway. Only scenes with sourceType "generated" can be generated.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -45,10 +55,16 @@ const router = express.Router();
  *                       type: string
  *                     sceneId:
  *                       type: string
+ *       200:
+ *         description: An identical earlier video was reused, or offered (status "reusable", with reusableJobId and videoUrl)
  *       400:
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The scene or project belongs to another user
+ *       404:
+ *         description: Scene not found
  */
 router.post('/generate-video', authMiddleware, generateVideo);
 
@@ -122,6 +138,125 @@ router.post('/generate-voiceover', authMiddleware, generateVoiceOver);
  */
 router.get('/job/:jobId', authMiddleware, getJobStatus);
 
+/**
+ * @swagger
+ * /api/videos/job/{jobId}/events:
+ *   get:
+ *     tags:
+ *       - Video Generation
+ *     summary: Stream job events
+ *     description: |
+ *       Server-Sent Events stream of a job's progress, status transitions, errors and final video URL.
+ *       The current state is sent first; the stream closes once the job is completed, degraded, failed or cancelled.
+ *       Event types are `status`, `progress` and `error`. EventSource clients may pass the JWT as `?token=`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/JobEvent'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Job not found
+ */
+router.get('/job/:jobId/events', streamAuthMiddleware, streamJobEvents);
+
+/**
+ * @swagger
+ * /api/videos/job/{jobId}/cancel:
+ *   post:
+ *     tags:
+ *       - Video Generation
+ *     summary: Cancel job
+ *     description: Stop a queued or processing video generation job, cancel the provider operation where possible and refund its quota
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     sceneId:
+ *                       type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already finished
+ */
+router.post('/job/:jobId/cancel', authMiddleware, cancelJob);
+
+/**
+ * @swagger
+ * /api/videos/scenes/{sceneId}/assemble:
+ *   post:
+ *     tags:
+ *       - Video Compilation
+ *     summary: Assemble scene
+ *     description: |
+ *       Probe the scene's clip and voice-over, then fit the clip to the narration: shorter clips are
+ *       extended by freezing the last frame or looping (the scene's fitMode), longer ones are trimmed.
+ *       The fitted clip with the voice-over muxed in is stored as assembledVideoUrl, and the measured
+ *       length is written to the scene's duration and the project's totalDuration.
+ *       Runs automatically when a scene's video generation completes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scene assembled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Scene'
+ *       400:
+ *         description: Scene has no video, or rendering failed
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Scene not found
+ */
+router.post('/scenes/:sceneId/assemble', authMiddleware, assembleScene);
+
 /**
  * @swagger
  * /api/videos/compile/{projectId}:
@@ -129,7 +264,17 @@ router.get('/job/:jobId', authMiddleware, getJobStatus);
  *     tags:
  *       - Video Compilation
  *     summary: Compile project
- *     description: Compile all scenes into a final MP4 video
+ *     description: |
+ *       Render all scenes, in order, into a final MP4 at the project's resolution and aspect ratio.
+ *       Each scene's transitionType (fade/slide/zoom/cut) is applied as it enters, and scenes are fitted to
+ *       their voice-over (see the assemble endpoint) with the narration muxed in.
+ *       The final mix is normalized to the export preset's loudness in two EBU R128 passes and limited to
+ *       its true-peak ceiling; the measured loudness is returned and stored in the project metadata.
+ *       The result is uploaded to GCS and stored as the project's finalVideoUrl.
+ *
+ *       Compilation runs in the background: the project is queued and 202 is returned right away.
+ *       Poll GET /api/videos/compile/{projectId} until its status is completed or failed
+ *       (a project.compiled webhook is also sent on success).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -138,9 +283,20 @@ router.get('/job/:jobId', authMiddleware, getJobStatus);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               loudnessPreset:
+ *                 type: string
+ *                 enum: [web, podcast, broadcast, off]
+ *                 description: Overrides videoSettings.loudness.preset for this export (web -14, podcast -16, broadcast -23 LUFS)
  *     responses:
- *       200:
- *         description: Project compiled successfully
+ *       202:
+ *         description: Compilation queued
  *         content:
  *           application/json:
  *             schema:
@@ -153,17 +309,78 @@ router.get('/job/:jobId', authMiddleware, getJobStatus);
  *                   properties:
  *                     projectId:
  *                       type: string
- *                     videoUrl:
+ *                     status:
+ *                       type: string
+ *                       example: queued
+ *                     statusUrl:
  *                       type: string
  *       400:
- *         description: Not all scenes ready
+ *         description: Not all scenes ready, or unknown loudnessPreset
  *       403:
  *         description: Access denied
  *       404:
  *         description: Project not found
+ *       409:
+ *         description: Project is already being compiled
  */
 router.post('/compile/:projectId', authMiddleware, compileProject);
 
+/**
+ * @swagger
+ * /api/videos/compile/{projectId}:
+ *   get:
+ *     tags:
+ *       - Video Compilation
+ *     summary: Get compile status
+ *     description: Status of the project's latest compile, with the final video once it has completed
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Compile status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     projectId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, queued, generating, completed, failed]
+ *                     videoUrl:
+ *                       type: string
+ *                       nullable: true
+ *                     totalDuration:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Milliseconds
+ *                     processingTimeMs:
+ *                       type: number
+ *                       nullable: true
+ *                     loudness:
+ *                       $ref: '#/components/schemas/LoudnessReport'
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.get('/compile/:projectId', authMiddleware, getCompileStatus);
+
 /**
  * @swagger
  * /api/videos/download/{projectId}:
@@ -206,4 +423,48 @@ router.post('/compile/:projectId', authMiddleware, compileProject);
  */
 router.get('/download/:projectId', authMiddleware, downloadVideo);
 
+/**
+ * @swagger
+ * /api/videos/captions/{projectId}:
+ *   get:
+ *     tags:
+ *       - Video Download
+ *     summary: Download captions
+ *     description: |
+ *       Captions built from the scene scripts, timed to each scene's narration (or the whole scene without one)
+ *       using the measured scene durations. Burning them into the compiled video is controlled by
+ *       the project's videoSettings.captions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [srt, vtt]
+ *           default: srt
+ *     responses:
+ *       200:
+ *         description: Caption file
+ *         content:
+ *           application/x-subrip:
+ *             schema:
+ *               type: string
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.get('/captions/:projectId', authMiddleware, downloadCaptions);
+
 export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { listVoices, previewVoice } from '../controllers/voiceController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/voices:
+ *   get:
+ *     tags:
+ *       - Voice Generation
+ *     summary: List voices
+ *     description: The Text-to-Speech voice catalogue (cached for 6 hours), optionally for one language
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: languageCode
+ *         description: A locale ('de-DE') or just a language ('de')
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voices retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Voice'
+ *       500:
+ *         description: Voice catalogue unavailable
+ */
+router.get('/', authMiddleware, listVoices);
+
+/**
+ * @swagger
+ * /api/voices/preview:
+ *   post:
+ *     tags:
+ *       - Voice Generation
+ *     summary: Preview a voice
+ *     description: |
+ *       Synthesize the fixed sample sentence for a voice's language at the given speed and pitch (custom
+ *       text isn't accepted). Samples are stored and reused, so the same settings play instantly the next
+ *       time. Previews don't count against the voice-over quota.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VoicePreviewRequest'
+ *     responses:
+ *       200:
+ *         description: Voice preview generated or retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     voice:
+ *                       type: string
+ *                     speed:
+ *                       type: number
+ *                     pitch:
+ *                       type: number
+ *                     text:
+ *                       type: string
+ *                       description: The sample sentence that was read
+ *                     audioUrl:
+ *                       type: string
+ *                     cached:
+ *                       type: boolean
+ *       400:
+ *         description: Unknown voice or invalid settings
+ */
+router.post('/preview', authMiddleware, previewVoice);
+
+export default router;
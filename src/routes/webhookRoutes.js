@@ -0,0 +1,201 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  testWebhook,
+} from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Register a webhook endpoint
+ *     description: |
+ *       Register a URL to receive signed event notifications. The response contains the signing secret,
+ *       which is only shown once. Each request carries `X-VeoFlow-Event`, `X-VeoFlow-Delivery` and
+ *       `X-VeoFlow-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookRequest'
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpoint'
+ *       400:
+ *         description: Invalid URL or events
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     tags:
+ *       - Webhooks
+ *     summary: List webhook endpoints
+ *     description: List the user's webhook endpoints and the events they can subscribe to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved
+ */
+router.post('/', authMiddleware, createWebhook);
+router.get('/', authMiddleware, listWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     tags:
+ *       - Webhooks
+ *     summary: Get a webhook endpoint
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpoint'
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     tags:
+ *       - Webhooks
+ *     summary: Update a webhook endpoint
+ *     description: Change the URL, subscribed events or description, or pause it with `active`
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookRequest'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Invalid URL or events
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     tags:
+ *       - Webhooks
+ *     summary: Delete a webhook endpoint
+ *     description: Delete the endpoint and drop its pending deliveries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId', authMiddleware, getWebhook);
+router.put('/:webhookId', authMiddleware, updateWebhook);
+router.delete('/:webhookId', authMiddleware, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     tags:
+ *       - Webhooks
+ *     summary: Delivery log
+ *     description: Recent deliveries to the endpoint with every attempt's status code, error and response body
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId/deliveries', authMiddleware, listWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/test:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Send a test event
+ *     description: Deliver a `webhook.test` event to the endpoint and return the delivery
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test event attempted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:webhookId/test', authMiddleware, testWebhook);
+
+export default router;
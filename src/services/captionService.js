@@ -0,0 +1,253 @@
+import { Scene } from '../models/Scene.js';
+import { ssmlService } from './ssmlService.js';
+
+// A cue holds at most two lines of this many characters
+const MAX_LINE_LENGTH = 42;
+const MAX_CUE_LENGTH = MAX_LINE_LENGTH * 2;
+
+// Cues shorter than this are hard to read; neighbours are merged rather than flashed
+const MIN_CUE_DURATION = 1;
+
+// libass styles for burned-in captions (colours are &HAABBGGRR)
+const CAPTION_STYLES = {
+  classic: 'PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BorderStyle=1,Outline=1.5,Shadow=0.5',
+  boxed: 'PrimaryColour=&H00FFFFFF,OutlineColour=&H80000000,BackColour=&H80000000,BorderStyle=3,Outline=4,Shadow=0',
+  bold: 'PrimaryColour=&H0000FFFF,OutlineColour=&H00000000,BorderStyle=1,Bold=1,Outline=2,Shadow=1',
+};
+
+// Font sizes on libass's 288-line reference canvas, so they scale with the output resolution
+const CAPTION_FONT_SIZES = {
+  small: 14,
+  medium: 18,
+  large: 24,
+};
+
+/**
+ * Captions built from scene scripts
+ *
+ * When a scene's voice-over has word timings from TTS, cues follow the real speech. Otherwise the
+ * script is split into sentence-sized cues laid out over the scene's narration (or the whole scene when
+ * it has none), in proportion to each cue's length. Scene offsets come from the durations measured when
+ * scenes are assembled, so cues line up with the compiled video.
+ */
+class CaptionService {
+  /**
+   * Build cues for consecutive scenes
+   * @param {Array<{text: string, duration: number, voiceOverDuration: number|null, words: Array}>} scenes
+   *   Durations in seconds; words are voice-over word timings ({text, startMs, endMs}) when available
+   * @returns {Array<{start: number, end: number, text: string}>} - Seconds from the start of the video
+   */
+  buildCues(scenes) {
+    const cues = [];
+    let offset = 0;
+
+    for (const { text, duration, voiceOverDuration, words } of scenes) {
+      if (words?.length) {
+        cues.push(...this.buildTimedCues(words, offset, duration));
+        offset += duration;
+        continue;
+      }
+
+      const chunks = this.splitText(text);
+      const window = Math.min(voiceOverDuration || duration, duration);
+      const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+      let start = offset;
+      for (const chunk of chunks) {
+        const end = start + (window * chunk.length) / totalLength;
+        cues.push({ start, end, text: this.wrapLines(chunk) });
+        start = end;
+      }
+
+      offset += duration;
+    }
+
+    return this.mergeShortCues(cues);
+  }
+
+  /**
+   * Cues that follow a scene's word timings, breaking at sentence ends and MAX_CUE_LENGTH
+   */
+  buildTimedCues(words, offset, duration) {
+    const cues = [];
+    let current = null;
+
+    for (const word of words) {
+      if (current && current.text.length + word.text.length + 1 > MAX_CUE_LENGTH) {
+        cues.push(current);
+        current = null;
+      }
+      current = current
+        ? { ...current, text: `${current.text} ${word.text}` }
+        : { start: offset + word.startMs / 1000, text: word.text };
+      current.end = offset + Math.min(word.endMs / 1000, duration);
+
+      if (/[.!?]["')\]]*$/.test(word.text)) {
+        cues.push(current);
+        current = null;
+      }
+    }
+    if (current) cues.push(current);
+
+    return cues.map((cue) => ({ ...cue, text: this.wrapLines(cue.text) }));
+  }
+
+  /**
+   * Cues for a project's scenes, using their stored (measured) durations and speech timings
+   */
+  async getProjectCues(projectId) {
+    const scenes = await Scene.find({ projectId }).sort({ order: 1 });
+    return this.buildCues(
+      scenes.map((scene) => this.getSceneEntry(scene, {
+        duration: (scene.duration || 0) / 1000,
+        voiceOverDuration: scene.metadata?.voiceOverDurationMs ? scene.metadata.voiceOverDurationMs / 1000 : null,
+      }))
+    );
+  }
+
+  /**
+   * buildCues input for a scene; narration timing only counts when the scene has a voice-over
+   * The text is what the voice-over says (narration if set, otherwise the script).
+   */
+  getSceneEntry(scene, { duration, voiceOverDuration }) {
+    const hasVoiceOver = !!scene.voiceOverUrl && !!voiceOverDuration;
+    return {
+      text: ssmlService.getSceneText(scene),
+      duration,
+      voiceOverDuration: hasVoiceOver ? voiceOverDuration : null,
+      words: hasVoiceOver ? scene.voiceOverTimings?.words || [] : [],
+    };
+  }
+
+  /**
+   * Render cues as SRT or WebVTT
+   */
+  format(cues, format = 'srt') {
+    if (format === 'vtt') {
+      return this.toVTT(cues);
+    }
+    if (format === 'srt') {
+      return this.toSRT(cues);
+    }
+    throw new Error(`Unsupported caption format: ${format}`);
+  }
+
+  toSRT(cues) {
+    return cues
+      .map((cue, index) =>
+        `${index + 1}\n${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+      )
+      .join('\n');
+  }
+
+  toVTT(cues) {
+    const body = cues
+      .map((cue) => `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+      .join('\n');
+    return `WEBVTT\n\n${body}`;
+  }
+
+  /**
+   * HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+   */
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+
+  /**
+   * ffmpeg filter that burns an SRT file into the video
+   * @param {object} settings - Project caption settings (style, fontSize)
+   */
+  getBurnInFilter(srtPath, { style, fontSize } = {}) {
+    const forceStyle = [
+      CAPTION_STYLES[style] || CAPTION_STYLES.classic,
+      `FontSize=${CAPTION_FONT_SIZES[fontSize] || CAPTION_FONT_SIZES.medium}`,
+      'Alignment=2',
+      'MarginV=18',
+    ].join(',');
+    const escapedPath = srtPath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+    return `subtitles=filename='${escapedPath}':force_style='${forceStyle}'`;
+  }
+
+  /**
+   * Split a script into sentence-sized chunks of at most MAX_CUE_LENGTH characters
+   */
+  splitText(text) {
+    const clean = (text || '')
+      .replace(/<[^>]+>/g, ' ') // Drop any markup
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .trim();
+    if (!clean) return [];
+
+    const sentences = clean.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g).map((sentence) => sentence.trim()).filter(Boolean);
+    return sentences.flatMap((sentence) => {
+      if (sentence.length <= MAX_CUE_LENGTH) return [sentence];
+
+      // Split long sentences into roughly equal runs of words
+      const words = sentence.split(' ');
+      const parts = Math.ceil(sentence.length / MAX_CUE_LENGTH);
+      const target = sentence.length / parts;
+      const chunks = [];
+      let current = '';
+      for (const word of words) {
+        if (current && (current.length + word.length + 1 > MAX_CUE_LENGTH || current.length >= target)) {
+          chunks.push(current);
+          current = word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      }
+      if (current) chunks.push(current);
+      return chunks;
+    });
+  }
+
+  /**
+   * Break a cue into at most two balanced lines
+   */
+  wrapLines(text) {
+    if (text.length <= MAX_LINE_LENGTH) return text;
+
+    const middle = text.length / 2;
+    let breakAt = -1;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === ' ' && (breakAt === -1 || Math.abs(i - middle) < Math.abs(breakAt - middle))) {
+        breakAt = i;
+      }
+    }
+    return breakAt === -1 ? text : `${text.slice(0, breakAt)}\n${text.slice(breakAt + 1)}`;
+  }
+
+  /**
+   * Fold cues shorter than MIN_CUE_DURATION into their neighbour within the same scene when the text still fits
+   */
+  mergeShortCues(cues) {
+    const merged = [];
+    for (const cue of cues) {
+      const previous = merged[merged.length - 1];
+      const previousText = previous?.text.replace(/\n/g, ' ');
+      const combined = previous && `${previousText} ${cue.text.replace(/\n/g, ' ')}`;
+      if (
+        previous &&
+        previous.end === cue.start &&
+        (previous.end - previous.start < MIN_CUE_DURATION || cue.end - cue.start < MIN_CUE_DURATION) &&
+        combined.length <= MAX_CUE_LENGTH
+      ) {
+        previous.end = cue.end;
+        previous.text = this.wrapLines(combined);
+      } else {
+        merged.push({ ...cue });
+      }
+    }
+    return merged;
+  }
+}
+
+export const captionService = new CaptionService();
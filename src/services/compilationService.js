@@ -0,0 +1,844 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../config.js';
+import { Project } from '../models/Project.js';
+import { Scene } from '../models/Scene.js';
+import gcsService from './gcsService.js';
+import { captionService } from './captionService.js';
+import { loudnessService } from './loudnessService.js';
+import { sceneSourceService } from './sceneSourceService.js';
+import { webhookService } from './webhookService.js';
+import {
+  createCommand,
+  runCommand,
+  getMediaInfo,
+  getOutputDimensions,
+  FRAME_RATE,
+  AUDIO_SAMPLE_RATE,
+} from './ffmpegService.js';
+
+// Prefixes holding a project's media, each followed by /{projectId}/: GCS object names, and directories under uploads/
+const PROJECT_MEDIA_PREFIXES = ['videos', 'voiceovers', 'sources', 'scenes', 'soundtracks'];
+
+// Longest music track accepted as a project soundtrack
+const MAX_SOUNDTRACK_SECONDS = 30 * 60;
+
+// Length of a scene's intro transition, in seconds
+const TRANSITION_DURATION = 0.5;
+
+// Scenes with narration run for the voice-over plus a short tail, and never shorter than the minimum
+const NARRATION_TAIL = 0.5;
+const MIN_SCENE_DURATION = 1;
+
+// Music bed: fades at both ends, and ducking whenever narration plays
+const MUSIC_FADE_IN = 2;
+const MUSIC_FADE_OUT = 3;
+const DEFAULT_MUSIC_VOLUME = 0.3;
+// Roughly 12-15 dB of gain reduction under typical speech levels
+const DUCKING_FILTER = 'sidechaincompress=threshold=0.015:ratio=12:attack=20:release=400';
+
+// x264 settings per project quality
+const ENCODING_PRESETS = {
+  fast: { preset: 'veryfast', crf: 23 },
+  standard: { preset: 'medium', crf: 20 },
+  high: { preset: 'slow', crf: 18 },
+};
+
+/**
+ * Renders a project's scenes into one MP4
+ *
+ * Each scene is rendered to a normalized segment (same size, frame rate and codecs) with its
+ * transition applied to its opening, then the segments are joined without re-encoding.
+ * A scene's transitionType describes how it enters:
+ * - fade: the previous scene fades out and this one fades in from black
+ * - slide: slides in from the right
+ * - zoom: zooms out from a close crop
+ * - cut: no transition
+ *
+ * Scenes with a voice-over run for the narration plus a short tail: shorter clips are extended by
+ * freezing the last frame or looping (scene.fitMode), longer ones are trimmed. Image and color-card
+ * scenes (scene.sourceType) are rendered at exactly that length instead (see sceneSourceService).
+ *
+ * When the project has captions with burnIn enabled, cues built from the scene scripts are burned
+ * into the joined video before the soundtrack is mixed.
+ *
+ * Segments carry two audio streams: the scene audio, and a narration bus holding only the voice-over
+ * (silence elsewhere). When the project has a music track, the bus drives a sidechain compressor that
+ * ducks the music under narration; the bus itself never reaches the output.
+ *
+ * The final mix is loudness-normalized to the export preset (videoSettings.loudness.preset, web by
+ * default) and the measured loudness is stored in the project metadata.
+ *
+ * Compiles run in the background: queueCompilation() marks the project queued, and the dispatcher
+ * started with start() claims queued projects one at a time with a lease it renews while rendering,
+ * so a compile left behind by a dead process is picked up again once its lease expires.
+ */
+class CompilationService {
+  constructor() {
+    this.timer = null;
+    this.dispatching = false;
+  }
+
+  /**
+   * Queue a project for compilation
+   * @param {object} options - loudnessPreset overrides the project's videoSettings.loudness.preset for this export
+   * @returns {Promise<object|null>} - The queued project, or null if it is already queued or compiling
+   */
+  async queueCompilation(projectId, { loudnessPreset } = {}) {
+    const project = await Project.findOneAndUpdate(
+      { _id: projectId, finalVideoStatus: { $nin: ['queued', 'generating'] } },
+      {
+        finalVideoStatus: 'queued',
+        compilation: {
+          loudnessPreset: loudnessPreset || null,
+          queuedAt: new Date(),
+          lockedUntil: null,
+          errorMessage: null,
+        },
+      },
+      { new: true }
+    );
+
+    // Start right away when this process runs the dispatcher
+    if (project && this.timer) {
+      this.dispatchDue();
+    }
+    return project;
+  }
+
+  /**
+   * Start compiling queued projects in the background
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatchDue(), config.workerPollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Compile queued projects until none are left; one at a time, since each compile keeps ffmpeg busy
+   */
+  async dispatchDue() {
+    if (this.dispatching) return;
+    this.dispatching = true;
+
+    try {
+      let project;
+      while (this.timer && (project = await this.claimNextCompilation())) {
+        await this.runCompilation(project);
+      }
+    } catch (error) {
+      console.error('Compilation dispatcher failed:', error.message);
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued project, or a compiling one whose lease expired
+   */
+  async claimNextCompilation() {
+    const now = new Date();
+    return Project.findOneAndUpdate(
+      {
+        $or: [
+          { finalVideoStatus: 'queued' },
+          { finalVideoStatus: 'generating', 'compilation.lockedUntil': { $lt: now } },
+        ],
+      },
+      {
+        finalVideoStatus: 'generating',
+        'compilation.lockedUntil': new Date(now.getTime() + config.workerLeaseMs),
+      },
+      { sort: { 'compilation.queuedAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Compile a claimed project while keeping its lease alive, then notify the owner's webhooks
+   */
+  async runCompilation(project) {
+    const projectId = project._id.toString();
+    const renewal = setInterval(() => {
+      Project.updateOne(
+        { _id: projectId, finalVideoStatus: 'generating' },
+        { 'compilation.lockedUntil': new Date(Date.now() + config.workerLeaseMs) }
+      ).catch((error) => console.error(`Failed to renew compile lease for project ${projectId}:`, error.message));
+    }, Math.floor(config.workerLeaseMs / 3));
+
+    try {
+      const updated = await this.compileProject(projectId, {
+        loudnessPreset: project.compilation?.loudnessPreset,
+      });
+      webhookService.emit(updated.userId, 'project.compiled', {
+        projectId,
+        videoUrl: updated.finalVideoUrl,
+        totalDuration: updated.totalDuration,
+        sceneCount: updated.scenes.length,
+      });
+    } catch (error) {
+      console.error(`Compilation of project ${projectId} failed:`, error.message);
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  /**
+   * Compile a project and store the result on it
+   * @param {object} options - loudnessPreset overrides the project's videoSettings.loudness.preset for this export
+   * @returns {Promise<object>} - The updated project
+   */
+  async compileProject(projectId, { loudnessPreset } = {}) {
+    const startedAt = Date.now();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `compile-${projectId}-`));
+
+    try {
+      const project = await Project.findById(projectId);
+      if (!project) {
+        throw new Error('Project not found');
+      }
+
+      const scenes = await Scene.find({ projectId }).sort({ order: 1 });
+      if (scenes.length === 0) {
+        throw new Error('Project has no scenes');
+      }
+
+      await Project.findByIdAndUpdate(projectId, {
+        finalVideoStatus: 'generating',
+        'metadata.generationStartTime': new Date(startedAt),
+      });
+
+      const settings = this.getRenderSettings(project);
+      const loudness = loudnessService.getPreset(loudnessPreset || project.videoSettings?.loudness?.preset || 'web');
+      console.log(`Compiling project ${projectId}: ${scenes.length} scenes at ${settings.width}x${settings.height}`);
+
+      const segmentPaths = [];
+      const sceneTimings = [];
+      for (const [index, scene] of scenes.entries()) {
+        const { segmentPath, timing } = await this.renderSceneSegment(scene, {
+          ...settings,
+          index,
+          workDir,
+          fadeOut: scenes[index + 1]?.transitionType === 'fade',
+        });
+        segmentPaths.push(segmentPath);
+        sceneTimings.push(captionService.getSceneEntry(scene, timing));
+        await Scene.findByIdAndUpdate(scene._id, { duration: Math.round(timing.duration * 1000) });
+      }
+
+      const joinedPath = path.join(workDir, 'joined.mp4');
+      await this.concatSegments(segmentPaths, joinedPath, workDir);
+      const { duration } = await getMediaInfo(joinedPath);
+
+      const captions = project.videoSettings?.captions;
+      const videoPath = captions?.enabled && captions.burnIn
+        ? await this.burnCaptions(joinedPath, captionService.buildCues(sceneTimings), {
+            ...captions,
+            encoding: settings.encoding,
+            workDir,
+          })
+        : joinedPath;
+
+      const outputPath = path.join(workDir, 'final.mp4');
+      const mixedPath = loudness ? path.join(workDir, 'mixed.mp4') : outputPath;
+      await this.mixSoundtrack(videoPath, mixedPath, {
+        projectId,
+        audioTrack: project.videoSettings?.audioTrack,
+        duration,
+        workDir,
+      });
+      const loudnessReport = loudness ? await this.masterAudio(mixedPath, outputPath, loudness) : null;
+
+      const stored = await gcsService.storeFile(
+        outputPath,
+        `/uploads/compiled/${projectId}.mp4`,
+        `compiled/${projectId}/${Date.now()}.mp4`,
+        'video/mp4'
+      );
+      const processingTimeMs = Date.now() - startedAt;
+
+      const updated = await Project.findByIdAndUpdate(
+        projectId,
+        {
+          finalVideoUrl: stored.url,
+          finalVideoGcsFileName: stored.gcsFileName,
+          finalVideoStatus: 'completed',
+          status: 'completed',
+          totalDuration: Math.round(duration * 1000),
+          'metadata.generationEndTime': new Date(),
+          'metadata.processingTimeMs': processingTimeMs,
+          'metadata.loudness': loudnessReport,
+          'compilation.lockedUntil': null,
+          'compilation.errorMessage': null,
+        },
+        { new: true }
+      );
+
+      console.log(`Project ${projectId} compiled in ${processingTimeMs}ms (${duration.toFixed(1)}s of video)`);
+      return updated;
+    } catch (error) {
+      await Project.findByIdAndUpdate(projectId, {
+        finalVideoStatus: 'failed',
+        'compilation.lockedUntil': null,
+        'compilation.errorMessage': error.message,
+      }).catch(() => null);
+      throw new Error(`Video compilation failed: ${error.message}`);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Use an uploaded music track as the project's soundtrack
+   * The track is transcoded to stereo AAC and stored under the project's soundtracks/ prefix; only
+   * tracks stored there are mixed in at compile time.
+   * @param {object} file - multer file ({ path }); the temp file is removed afterwards
+   * @returns {Promise<object>} - The updated project
+   */
+  async storeSoundtrack(projectId, file) {
+    const transcodedPath = `${file.path}.m4a`;
+    try {
+      const info = await getMediaInfo(file.path).catch(() => null);
+      if (!info?.hasAudio || !(info.duration > 0)) {
+        throw new Error('File is not a readable audio track');
+      }
+      if (info.duration > MAX_SOUNDTRACK_SECONDS) {
+        throw new Error(`Soundtrack must be at most ${MAX_SOUNDTRACK_SECONDS / 60} minutes long`);
+      }
+
+      await runCommand(
+        createCommand(file.path).outputOptions([
+          '-map 0:a:0',
+          '-vn',
+          '-c:a aac',
+          '-b:a 192k',
+          `-ar ${AUDIO_SAMPLE_RATE}`,
+          '-ac 2',
+          '-movflags +faststart',
+        ]),
+        transcodedPath
+      );
+
+      const timestamp = Date.now();
+      const stored = await gcsService.storeFile(
+        transcodedPath,
+        `/uploads/soundtracks/${projectId}/${timestamp}.m4a`,
+        `soundtracks/${projectId}/${timestamp}.m4a`,
+        'audio/mp4'
+      );
+
+      return await Project.findByIdAndUpdate(
+        projectId,
+        {
+          'videoSettings.audioTrack.enabled': true,
+          'videoSettings.audioTrack.audioUrl': stored.url,
+          'videoSettings.audioTrack.gcsFileName': stored.gcsFileName,
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to upload soundtrack: ${error.message}`);
+    } finally {
+      fs.rmSync(file.path, { force: true });
+      fs.rmSync(transcodedPath, { force: true });
+    }
+  }
+
+  /**
+   * Fit a scene to its narration and record its real duration
+   * With a voice-over, the clip is frozen, looped or trimmed to the narration and the two are muxed
+   * into an assembled clip; without one the scene just takes its clip's length. Either way the
+   * project's totalDuration is recomputed from its scenes.
+   * @returns {Promise<object>} - The updated scene
+   */
+  async assembleScene(sceneId) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `assemble-${sceneId}-`));
+
+    try {
+      const scene = await Scene.findById(sceneId);
+      if (!scene) {
+        throw new Error('Scene not found');
+      }
+      const project = await Project.findById(scene.projectId);
+      if (!project) {
+        throw new Error('Project not found');
+      }
+
+      const prepared = await this.prepareScene(scene, { ...this.getRenderSettings(project), workDir, index: 0 });
+      const { timing } = prepared;
+
+      let assembled = { url: null, gcsFileName: null };
+      if (prepared.voiceOverPath) {
+        const { segmentPath } = await this.renderSceneSegment(scene, {
+          ...this.getRenderSettings(project),
+          index: 0,
+          workDir,
+          transitions: false,
+          narrationBus: false,
+          prepared,
+        });
+        assembled = await gcsService.storeFile(
+          segmentPath,
+          `/uploads/scenes/${scene.projectId}/${sceneId}.mp4`,
+          `scenes/${scene.projectId}/${sceneId}-${Date.now()}.mp4`,
+          'video/mp4'
+        );
+      }
+
+      const updated = await Scene.findByIdAndUpdate(
+        sceneId,
+        {
+          duration: Math.round(timing.duration * 1000),
+          assembledVideoUrl: assembled.url,
+          assembledGcsFileName: assembled.gcsFileName,
+          'metadata.clipDurationMs': Math.round(timing.clipDuration * 1000),
+          'metadata.voiceOverDurationMs': timing.voiceOverDuration === null
+            ? null
+            : Math.round(timing.voiceOverDuration * 1000),
+        },
+        { new: true }
+      );
+      await this.updateTotalDuration(scene.projectId);
+
+      console.log(
+        `Scene ${sceneId} assembled: ${timing.duration.toFixed(2)}s ` +
+          `(clip ${timing.clipDuration.toFixed(2)}s, narration ${timing.voiceOverDuration?.toFixed(2) ?? 'none'})`
+      );
+      return updated;
+    } catch (error) {
+      throw new Error(`Scene assembly failed: ${error.message}`);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Set the project's totalDuration (ms) to the sum of its scene durations
+   */
+  async updateTotalDuration(projectId) {
+    const scenes = await Scene.find({ projectId }).select('duration');
+    const totalDuration = scenes.reduce((sum, scene) => sum + (scene.duration || 0), 0);
+    await Project.findByIdAndUpdate(projectId, { totalDuration });
+    return totalDuration;
+  }
+
+  /**
+   * Output size and encoder settings from the project's videoSettings
+   */
+  getRenderSettings(project) {
+    const { resolution, aspectRatio, quality } = project.videoSettings || {};
+    return {
+      ...getOutputDimensions(resolution, aspectRatio),
+      encoding: ENCODING_PRESETS[quality] || ENCODING_PRESETS.standard,
+    };
+  }
+
+  /**
+   * Render one scene: scale/pad to the output size, fit it to its narration, apply its transition
+   * and attach its audio. Audio is the scene's voice-over if it has one, otherwise the clip's own
+   * soundtrack (or silence).
+   * @param {object} options
+   * @param {boolean} options.transitions - Apply the scene's transition (off for standalone scene clips)
+   * @param {boolean} options.narrationBus - Add the narration bus as a second audio stream
+   * @param {object} options.prepared - Result of prepareScene, if the caller already has it
+   * @returns {Promise<{segmentPath: string, timing: object}>}
+   */
+  async renderSceneSegment(scene, {
+    width,
+    height,
+    encoding,
+    index,
+    workDir,
+    fadeOut = false,
+    transitions = true,
+    narrationBus = true,
+    prepared = null,
+  }) {
+    const { clipPath, voiceOverPath, timing } = prepared || await this.prepareScene(scene, { width, height, workDir, index });
+    const { duration } = timing;
+    const transitionType = transitions ? scene.transitionType : 'cut';
+    const command = createCommand(clipPath);
+    if (timing.extend && timing.fitMode === 'loop') {
+      command.inputOptions(['-stream_loop -1']);
+    }
+
+    const filters = [
+      `[0:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=${FRAME_RATE},format=yuv420p,` +
+        `${this.getFitFilter(timing)}[base]`,
+      ...this.getTransitionFilters(transitionType, { width, height, duration, index }, '[base]', '[entered]'),
+      fadeOut
+        ? `[entered]fade=t=out:st=${Math.max(0, duration - TRANSITION_DURATION)}:d=${TRANSITION_DURATION}[v]`
+        : '[entered]null[v]',
+    ];
+
+    // Audio fades along with the picture; the narration bus stays unfaded to key the ducking
+    const audioFades = [
+      transitionType === 'fade' && `afade=t=in:st=0:d=${TRANSITION_DURATION}`,
+      fadeOut && `afade=t=out:st=${Math.max(0, duration - TRANSITION_DURATION)}:d=${TRANSITION_DURATION}`,
+    ].filter(Boolean);
+    const normalizeAudio = [
+      `aresample=${AUDIO_SAMPLE_RATE}`,
+      'aformat=channel_layouts=stereo',
+      'apad',
+      `atrim=0:${duration}`,
+    ].join(',');
+    const fadeAudio = audioFades.length ? `,${audioFades.join(',')}` : '';
+
+    if (voiceOverPath) {
+      command.input(voiceOverPath);
+      filters.push(`[1:a]${normalizeAudio},asplit=2[vo][n]`, `[vo]anull${fadeAudio}[a]`);
+    } else {
+      // Silence fills the narration bus (and the scene audio when the clip has none)
+      command.input(`anullsrc=channel_layout=stereo:sample_rate=${AUDIO_SAMPLE_RATE}`).inputFormat('lavfi');
+      if (timing.clipHasAudio) {
+        filters.push(`[0:a]${normalizeAudio}${fadeAudio}[a]`, `[1:a]${normalizeAudio}[n]`);
+      } else {
+        filters.push(`[1:a]${normalizeAudio},asplit=2[a][n]`);
+      }
+    }
+    if (!narrationBus) {
+      filters.push('[n]anullsink');
+    }
+
+    const segmentPath = path.join(workDir, `segment-${index}.mp4`);
+    command
+      .complexFilter(filters)
+      .outputOptions([
+        '-map [v]',
+        '-map [a]',
+        ...(narrationBus ? ['-map [n]'] : []),
+        `-t ${duration}`,
+        '-c:v libx264',
+        `-preset ${encoding.preset}`,
+        `-crf ${encoding.crf}`,
+        '-pix_fmt yuv420p',
+        `-r ${FRAME_RATE}`,
+        '-c:a aac',
+        '-b:a 192k',
+        `-ar ${AUDIO_SAMPLE_RATE}`,
+        '-ac 2',
+      ]);
+
+    await runCommand(command, segmentPath);
+    return { segmentPath, timing };
+  }
+
+  /**
+   * Locate a scene's clip and voice-over and work out how long the scene should run
+   * Image and color-card scenes have no stored clip; theirs is rendered at the scene's length and the
+   * output size (width, height).
+   */
+  async prepareScene(scene, { workDir, index, width, height }) {
+    const voiceOverPath = scene.voiceOverUrl
+      ? await this.resolveMedia(
+          { gcsFileName: scene.voiceOverGcsFileName, url: scene.voiceOverUrl, projectId: scene.projectId },
+          path.join(workDir, `scene-${index}-voiceover.mp3`)
+        )
+      : null;
+    const voiceOverDuration = voiceOverPath ? (await getMediaInfo(voiceOverPath)).duration : null;
+    const speechEndMs = scene.voiceOverTimings?.durationMs;
+
+    const clipPath = sceneSourceService.isRenderedSource(scene)
+      ? await this.renderSourceClip(scene, {
+          workDir,
+          index,
+          width,
+          height,
+          duration: this.getSceneTiming(scene.stillDuration / 1000, voiceOverDuration, speechEndMs).duration,
+        })
+      : await this.resolveMedia(
+          { gcsFileName: scene.videoGcsFileName, url: scene.videoUrl, projectId: scene.projectId },
+          path.join(workDir, `scene-${index}-source.mp4`)
+        );
+    if (!clipPath) {
+      throw new Error(`Scene ${index + 1} ("${scene.title}") has no video`);
+    }
+
+    const clip = await getMediaInfo(clipPath);
+
+    return {
+      clipPath,
+      voiceOverPath,
+      timing: {
+        ...this.getSceneTiming(clip.duration, voiceOverDuration, speechEndMs),
+        fitMode: scene.fitMode || 'freeze',
+        clipHasAudio: clip.hasAudio,
+      },
+    };
+  }
+
+  /**
+   * Render an image or color-card scene's clip, downloading the image first
+   */
+  async renderSourceClip(scene, { workDir, index, width, height, duration }) {
+    let imagePath = null;
+    if (scene.sourceType === 'image') {
+      const extension = path.extname((scene.sourceImageGcsFileName || scene.sourceImageUrl || '').split('?')[0]);
+      imagePath = await this.resolveMedia(
+        { gcsFileName: scene.sourceImageGcsFileName, url: scene.sourceImageUrl, projectId: scene.projectId },
+        path.join(workDir, `scene-${index}-image${extension}`)
+      );
+      if (!imagePath) {
+        throw new Error(`Scene ${index + 1} ("${scene.title}") has no image`);
+      }
+    }
+
+    return sceneSourceService.renderSource(scene, path.join(workDir, `scene-${index}-source.mp4`), {
+      imagePath,
+      width,
+      height,
+      duration,
+    });
+  }
+
+  /**
+   * How long a scene runs: its narration plus a short tail, or the clip's own length without narration
+   * When TTS reported where speech ends (speechEndMs), trailing silence in the audio file is not counted.
+   * @returns {{duration: number, clipDuration: number, voiceOverDuration: number|null, extend: boolean}}
+   */
+  getSceneTiming(clipDuration, voiceOverDuration, speechEndMs = null) {
+    const speech = voiceOverDuration && speechEndMs
+      ? Math.min(voiceOverDuration, speechEndMs / 1000)
+      : voiceOverDuration;
+    const duration = speech
+      ? Math.max(MIN_SCENE_DURATION, speech + NARRATION_TAIL)
+      : clipDuration;
+
+    return {
+      duration,
+      clipDuration,
+      voiceOverDuration,
+      extend: duration > clipDuration + 1 / FRAME_RATE,
+    };
+  }
+
+  /**
+   * Video filter that extends (freeze or loop) or trims the clip to the scene duration
+   * Runs after fps, so frame numbers are at FRAME_RATE
+   */
+  getFitFilter({ duration, clipDuration, extend, fitMode }) {
+    if (extend && fitMode === 'freeze') {
+      const lastFrame = Math.max(0, Math.round(clipDuration * FRAME_RATE) - 1);
+      const extraFrames = Math.ceil((duration - clipDuration) * FRAME_RATE) + 1;
+      return `loop=loop=${extraFrames}:size=1:start=${lastFrame},setpts=N/${FRAME_RATE}/TB,trim=duration=${duration}`;
+    }
+    // Looping is done by the input (-stream_loop), so looped and trimmed clips just get cut to length
+    return `trim=duration=${duration},setpts=PTS-STARTPTS`;
+  }
+
+  /**
+   * Filters that play a scene's entrance over its first TRANSITION_DURATION seconds
+   * The first scene has nothing to enter from, so only a fade applies there
+   */
+  getTransitionFilters(transitionType, { width, height, duration, index }, input, output) {
+    const d = TRANSITION_DURATION;
+
+    if (transitionType === 'fade') {
+      return [`${input}fade=t=in:st=0:d=${d}${output}`];
+    }
+    if (index === 0 || transitionType === 'cut') {
+      return [`${input}null${output}`];
+    }
+
+    if (transitionType === 'slide') {
+      return [
+        `color=c=black:s=${width}x${height}:r=${FRAME_RATE}:d=${duration}[slidebg]`,
+        `[slidebg]${input}overlay=x='W*max(0,1-t/${d})':y=0:shortest=1${output}`,
+      ];
+    }
+    if (transitionType === 'zoom') {
+      const frames = Math.round(d * FRAME_RATE);
+      return [
+        `${input}zoompan=z='max(1,1.25-0.25*on/${frames})':x='iw/2-iw/zoom/2':y='ih/2-ih/zoom/2'` +
+          `:d=1:s=${width}x${height}:fps=${FRAME_RATE}${output}`,
+      ];
+    }
+
+    return [`${input}null${output}`];
+  }
+
+  /**
+   * Join normalized segments with the concat demuxer (no re-encode)
+   */
+  async concatSegments(segmentPaths, outputPath, workDir) {
+    const listPath = path.join(workDir, 'segments.txt');
+    fs.writeFileSync(listPath, segmentPaths.map((segment) => `file '${segment}'`).join('\n'));
+
+    const command = createCommand(listPath)
+      .inputOptions(['-f concat', '-safe 0'])
+      .outputOptions(['-map 0', '-c copy']);
+
+    await runCommand(command, outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Burn captions into the joined video; audio streams are copied untouched
+   * @returns {Promise<string>} - Path of the captioned video (the input if there are no cues)
+   */
+  async burnCaptions(inputPath, cues, { style, fontSize, encoding, workDir }) {
+    if (cues.length === 0) {
+      return inputPath;
+    }
+
+    const srtPath = path.join(workDir, 'captions.srt');
+    fs.writeFileSync(srtPath, captionService.toSRT(cues));
+
+    const outputPath = path.join(workDir, 'captioned.mp4');
+    const command = createCommand(inputPath)
+      .videoFilters(captionService.getBurnInFilter(srtPath, { style, fontSize }))
+      .outputOptions([
+        '-map 0',
+        '-c:v libx264',
+        `-preset ${encoding.preset}`,
+        `-crf ${encoding.crf}`,
+        '-pix_fmt yuv420p',
+        '-c:a copy',
+      ]);
+
+    await runCommand(command, outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Produce the final soundtrack from the joined segments
+   * Without a music track the scene audio is kept as-is; otherwise the music is looped or trimmed
+   * to the video length, faded in and out, ducked under narration and mixed under the scene audio.
+   * Only a track from the soundtrack upload is used (stored under the project's soundtracks/ prefix).
+   */
+  async mixSoundtrack(joinedPath, outputPath, { projectId, audioTrack, duration, workDir }) {
+    const localDir = `/uploads/soundtracks/${projectId}/`;
+    const localUrl = audioTrack?.audioUrl?.startsWith('/uploads/')
+      && path.posix.normalize(audioTrack.audioUrl.split('?')[0]).startsWith(localDir)
+      ? audioTrack.audioUrl
+      : null;
+    const gcsFileName = audioTrack?.gcsFileName?.startsWith(`soundtracks/${projectId}/`) ? audioTrack.gcsFileName : null;
+
+    const musicPath = audioTrack?.enabled && (localUrl || gcsFileName)
+      ? await this.resolveMedia({ gcsFileName, url: localUrl, projectId }, path.join(workDir, 'music'))
+      : null;
+
+    if (audioTrack?.enabled && !musicPath) {
+      console.warn(`Project ${projectId} has no uploaded soundtrack, compiling without music`);
+    }
+
+    const command = createCommand(joinedPath);
+    if (!musicPath) {
+      command.outputOptions(['-map 0:v', '-map 0:a:0', '-c copy', '-movflags +faststart']);
+      await runCommand(command, outputPath);
+      return outputPath;
+    }
+
+    const volume = this.getMusicVolume(audioTrack.volume);
+    const fadeOutStart = Math.max(0, duration - MUSIC_FADE_OUT);
+
+    command
+      .input(musicPath)
+      .inputOptions(['-stream_loop -1']) // Loop short tracks; atrim cuts to the video length
+      .complexFilter([
+        `[1:a]aresample=${AUDIO_SAMPLE_RATE},aformat=channel_layouts=stereo,atrim=0:${duration},asetpts=PTS-STARTPTS,` +
+          `afade=t=in:st=0:d=${MUSIC_FADE_IN},afade=t=out:st=${fadeOutStart}:d=${MUSIC_FADE_OUT},volume=${volume}[music]`,
+        `[music][0:a:1]${DUCKING_FILTER}[ducked]`,
+        // amix halves each input; volume=2 restores the scene audio level
+        '[0:a:0][ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[a]',
+      ])
+      .outputOptions([
+        '-map 0:v',
+        '-map [a]',
+        '-c:v copy',
+        '-c:a aac',
+        '-b:a 192k',
+        `-ar ${AUDIO_SAMPLE_RATE}`,
+        `-t ${duration}`,
+        '-movflags +faststart',
+      ]);
+
+    await runCommand(command, outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Normalize the final mix to the preset's loudness (two-pass EBU R128) and limit its peaks
+   * Video is copied; only the audio is re-encoded. A silent mix is copied through unchanged.
+   * @returns {Promise<object>} - Loudness report for the project metadata (see loudnessService.getReport)
+   */
+  async masterAudio(inputPath, outputPath, preset) {
+    const input = await loudnessService.measure(inputPath, preset);
+    if (!loudnessService.canNormalize(input)) {
+      console.warn(`Mix is too quiet to measure (${input.integrated} LUFS), skipping loudness normalization`);
+      fs.copyFileSync(inputPath, outputPath);
+      return loudnessService.getReport(preset, input, input, false);
+    }
+
+    const command = createCommand(inputPath)
+      .audioFilters(loudnessService.getNormalizeFilter(preset, input))
+      .outputOptions([
+        '-map 0:v',
+        '-map 0:a:0',
+        '-c:v copy',
+        '-c:a aac',
+        '-b:a 192k',
+        `-ar ${AUDIO_SAMPLE_RATE}`,
+        '-movflags +faststart',
+      ]);
+    await runCommand(command, outputPath);
+
+    const output = await loudnessService.measure(outputPath, preset);
+    console.log(
+      `Loudness ${input.integrated} LUFS -> ${output.integrated} LUFS (target ${preset.targetLufs}, ` +
+        `true peak ${output.truePeak} dBTP)`
+    );
+    return loudnessService.getReport(preset, input, output, true);
+  }
+
+  /**
+   * Music volume as a 0-1 gain; values above 1 are treated as percentages
+   */
+  getMusicVolume(volume) {
+    if (typeof volume !== 'number' || Number.isNaN(volume) || volume < 0) {
+      return DEFAULT_MUSIC_VOLUME;
+    }
+    return Math.min(volume > 1 ? volume / 100 : volume, 1);
+  }
+
+  /**
+   * Locate a project's media file: local uploads first, then GCS
+   * Only files under uploads/{prefix}/{projectId}/ and GCS objects under {prefix}/{projectId}/ are used,
+   * so a stored URL or object name can't pull in another project's media or anything else on disk.
+   * @returns {Promise<string|null>} - Local path, or null if the media can't be found
+   */
+  async resolveMedia({ gcsFileName, url, projectId }, destPath) {
+    if (url && url.startsWith('/uploads/')) {
+      const localPath = path.join(process.cwd(), url.split('?')[0]);
+      const inProject = PROJECT_MEDIA_PREFIXES.some((prefix) =>
+        localPath.startsWith(`${path.join(process.cwd(), 'uploads', prefix, String(projectId))}${path.sep}`)
+      );
+      if (inProject && fs.existsSync(localPath)) {
+        return localPath;
+      }
+    }
+
+    if (gcsFileName) {
+      if (!PROJECT_MEDIA_PREFIXES.some((prefix) => gcsFileName.startsWith(`${prefix}/${projectId}/`))) {
+        console.warn(`Ignoring ${gcsFileName}: not stored under project ${projectId}`);
+        return null;
+      }
+      try {
+        return await gcsService.downloadFile(gcsFileName, destPath);
+      } catch (error) {
+        console.error(`Failed to download ${gcsFileName}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+}
+
+export const compilationService = new CompilationService();
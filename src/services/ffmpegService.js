@@ -0,0 +1,115 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { config } from '../config.js';
+
+if (config.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpegPath);
+}
+if (config.ffprobePath) {
+  ffmpeg.setFfprobePath(config.ffprobePath);
+}
+
+// Every rendered clip and mix uses these, so segments join without re-timing or resampling
+export const FRAME_RATE = 30;
+export const AUDIO_SAMPLE_RATE = 48000;
+
+// Frame sizes for 16:9 output; other aspect ratios are derived from the short side
+const FRAME_SIZES = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '4k': { width: 3840, height: 2160 },
+};
+
+/**
+ * Get output frame dimensions for a resolution and aspect ratio
+ * @param {string} resolution - '720p', '1080p' or '4k'
+ * @param {string} aspectRatio - '16:9', '9:16' or '1:1'
+ * @returns {{width: number, height: number}}
+ */
+export function getOutputDimensions(resolution = '1080p', aspectRatio = '16:9') {
+  const { width, height } = FRAME_SIZES[resolution] || FRAME_SIZES['1080p'];
+
+  if (aspectRatio === '9:16') {
+    return { width: height, height: width };
+  }
+  if (aspectRatio === '1:1') {
+    return { width: height, height };
+  }
+  return { width, height };
+}
+
+/**
+ * Wrap text into lines of at most `maxChars` characters for drawtext
+ */
+export function wrapText(text, maxChars = 40) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.join('\n');
+}
+
+/**
+ * Read duration and stream layout of a media file with ffprobe
+ * @returns {Promise<{duration: number, hasVideo: boolean, hasAudio: boolean, width: number|null, height: number|null}>}
+ */
+export function getMediaInfo(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      if (error) {
+        reject(new Error(`FFprobe failed for ${filePath}: ${error.message}`));
+        return;
+      }
+
+      const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+      const audio = metadata.streams.find((stream) => stream.codec_type === 'audio');
+      resolve({
+        duration: parseFloat(metadata.format.duration) || parseFloat(video?.duration) || 0,
+        hasVideo: !!video,
+        hasAudio: !!audio,
+        width: video?.width || null,
+        height: video?.height || null,
+      });
+    });
+  });
+}
+
+/**
+ * Create a new fluent-ffmpeg command
+ */
+export function createCommand(input) {
+  return input ? ffmpeg(input) : ffmpeg();
+}
+
+/**
+ * Run a fluent-ffmpeg command, saving to outputPath
+ * @returns {Promise<string>} - The output path
+ */
+export function runCommand(command, outputPath) {
+  return runCommandForLog(command, outputPath).then(() => outputPath);
+}
+
+/**
+ * Run a fluent-ffmpeg command and return its log (stderr), for filters that print measurements
+ * Use outputPath '-' with format('null') when only the measurements are needed.
+ * @returns {Promise<string>}
+ */
+export function runCommandForLog(command, outputPath) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', (stdout, stderr) => resolve(stderr || ''))
+      .on('error', (error, stdout, stderr) => {
+        const detail = stderr ? stderr.trim().split('\n').slice(-3).join(' | ') : '';
+        reject(new Error(`FFmpeg failed: ${error.message}${detail ? ` (${detail})` : ''}`));
+      })
+      .save(outputPath);
+  });
+}
@@ -3,6 +3,10 @@ import path from 'path';
 import fs from 'fs';
 import { config } from '../config.js';
 
+// Signed URLs are valid for 24 hours; stored ones are re-signed once less than an hour remains
+export const SIGNED_URL_TTL_SECONDS = 86400;
+export const SIGNED_URL_REFRESH_MARGIN_MS = 60 * 60 * 1000;
+
 class GCSService {
   constructor() {
     this.bucketName = process.env.GCS_BUCKET_NAME || 'veoflow-videos';
@@ -64,7 +68,7 @@ class GCSService {
       });
 
       // Generate signed URL (valid for 24 hours)
-      const signedUrl = await this.getSignedUrl(fileName, 86400); // 24 hours
+      const signedUrl = await this.getSignedUrl(fileName, SIGNED_URL_TTL_SECONDS);
       
       console.log('Video uploaded to GCS:', fileName);
       console.log('Signed URL generated (valid 24h)');
@@ -83,6 +87,75 @@ class GCSService {
     }
   }
 
+  /**
+   * Upload any local file to GCS under an explicit destination
+   * @param {string} localFilePath - Path to local file
+   * @param {string} destination - GCS object name
+   * @param {string} contentType - MIME type
+   * @returns {Promise<{fileName: string, signedUrl: string}>} - GCS filename and signed URL (valid 24h)
+   */
+  async uploadFile(localFilePath, destination, contentType = 'application/octet-stream') {
+    try {
+      if (!fs.existsSync(localFilePath)) {
+        throw new Error(`File not found: ${localFilePath}`);
+      }
+
+      await this.bucket.upload(localFilePath, {
+        destination,
+        metadata: {
+          contentType,
+          cacheControl: 'public, max-age=31536000',
+        },
+      });
+
+      const signedUrl = await this.getSignedUrl(destination, SIGNED_URL_TTL_SECONDS);
+      console.log('File uploaded to GCS:', destination);
+
+      return { fileName: destination, signedUrl };
+    } catch (error) {
+      console.error('GCS upload error:', error);
+      throw new Error(`Failed to upload file to GCS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep a local copy at localUrl (under uploads/) and upload to GCS when available
+   * @param {string} localUrl - /uploads/... path the local copy is served from
+   * @param {string} destination - GCS object name
+   * @returns {Promise<{url: string, gcsFileName: string|null}>} - Signed URL, or localUrl if the upload fails
+   */
+  async storeFile(filePath, localUrl, destination, contentType) {
+    const localPath = path.join(process.cwd(), localUrl);
+    if (path.resolve(filePath) !== localPath) {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.copyFileSync(filePath, localPath);
+    }
+
+    try {
+      const { fileName, signedUrl } = await this.uploadFile(filePath, destination, contentType);
+      return { url: signedUrl, gcsFileName: fileName };
+    } catch (error) {
+      console.error(`GCS upload failed, serving ${localUrl} locally:`, error.message);
+      return { url: localUrl, gcsFileName: null };
+    }
+  }
+
+  /**
+   * Download a GCS object to a local file
+   * @param {string} fileName - GCS file path
+   * @param {string} destPath - Local destination path
+   * @returns {Promise<string>} - destPath
+   */
+  async downloadFile(fileName, destPath) {
+    try {
+      await this.bucket.file(fileName).download({ destination: destPath });
+      return destPath;
+    } catch (error) {
+      console.error('GCS download error:', error);
+      throw new Error(`Failed to download ${fileName} from GCS: ${error.message}`);
+    }
+  }
+
   /**
    * Get signed URL for private video access (alternative to public URLs)
    * @param {string} fileName - GCS file path
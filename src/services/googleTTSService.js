@@ -1,10 +1,25 @@
-import { TextToSpeechClient } from '@google-cloud/text-to-speech';
+import { v1beta1 } from '@google-cloud/text-to-speech';
 import fs from 'fs';
 import path from 'path';
 import { config } from '../config.js';
+import { ssmlService, END_MARK } from './ssmlService.js';
+import { ttsCacheService } from './ttsCacheService.js';
+
+// Timepoints (SSML marks) are only available on the v1beta1 API
+const { TextToSpeechClient } = v1beta1;
+
+// The voice catalogue changes rarely; refresh it a few times a day
+const VOICE_CATALOGUE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Voice names start with their locale: en-US-Neural2-A, cmn-CN-Wavenet-B, fil-PH-Standard-A
+const VOICE_NAME_PATTERN = /^([a-z]{2,3}-[A-Z]{2})-[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/;
 
 class GoogleTTSService {
   constructor() {
+    this.voiceCatalogue = null;
+    this.voiceCatalogueLoadedAt = 0;
+    this.voiceCatalogueRequest = null;
+
     this.keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
     this.projectId = process.env.GOOGLE_PROJECT_ID || 'veoflow-485315';
     
@@ -34,24 +49,41 @@ class GoogleTTSService {
   }
 
   /**
-   * Generate speech from text using Google Cloud Text-to-Speech
+   * Generate speech from text, or from options.ssml (validated SSML, see ssmlService), using Google Cloud Text-to-Speech
+   * The input is sent as SSML with a mark before every word, so the response carries real
+   * per-word and per-sentence timings (see buildTimings). Results are cached by content (see
+   * ttsCacheService); cached is true when the audio came from the cache rather than the API.
+   * @returns {Promise<{success: boolean, audioContent: Buffer, audioEncoding: string, timings: object|null, cached: boolean, cacheKey: string}>}
    */
   async generateSpeech(text, options = {}) {
     try {
+      const speech = this.getSpeechSettings(text, options);
+      const cacheKey = ttsCacheService.getKey(speech);
+
+      const cached = await ttsCacheService.get(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          audioContent: cached.audioContent,
+          audioEncoding: 'MP3',
+          timings: cached.timings.durationMs === null ? null : cached.timings,
+          cached: true,
+          cacheKey,
+        };
+      }
+
       if (!this.client) {
         throw new Error('Google Text-to-Speech not configured. Check GOOGLE_APPLICATION_CREDENTIALS in .env');
       }
 
-      const {
-        voiceName = 'en-US-Neural2-A',
-        rate = 1.0,
-        pitch = 0,
-      } = options;
+      const { voiceName, languageCode, rate, pitch } = speech;
+      const { ssml, words } = ssmlService.addWordMarks(speech.ssml);
 
       const request = {
-        input: { text: text },
+        input: { ssml },
+        enableTimePointing: ['SSML_MARK'],
         voice: {
-          languageCode: 'en-US',
+          languageCode,
           name: voiceName,
         },
         audioConfig: {
@@ -64,10 +96,16 @@ class GoogleTTSService {
       const [response] = await this.client.synthesizeSpeech(request);
 
       if (response.audioContent) {
+        const timings = this.buildTimings(words, response.timepoints || []);
+        await ttsCacheService.set(cacheKey, { ...speech, audioContent: response.audioContent, timings });
+
         return {
           success: true,
           audioContent: response.audioContent,
           audioEncoding: 'MP3',
+          timings,
+          cached: false,
+          cacheKey,
         };
       }
 
@@ -80,6 +118,85 @@ class GoogleTTSService {
     }
   }
 
+  /**
+   * Whether generateSpeech would be served from the cache, e.g. to skip charging quota
+   */
+  async isCached(text, options = {}) {
+    return ttsCacheService.has(ttsCacheService.getKey(this.getSpeechSettings(text, options)));
+  }
+
+  /**
+   * The settings that decide what a generateSpeech call returns (and so its cache key)
+   */
+  getSpeechSettings(text, options = {}) {
+    const {
+      voiceName = 'en-US-Neural2-A',
+      rate = 1.0,
+      pitch = 0,
+    } = options;
+
+    return {
+      ssml: options.ssml || ssmlService.fromText(text),
+      voiceName,
+      languageCode: options.languageCode || this.getLanguageCode(voiceName),
+      rate,
+      pitch,
+    };
+  }
+
+  /**
+   * Turn SSML mark timepoints into word and sentence timings (milliseconds from the start of the audio)
+   * A word runs until the next word starts; the last one until the end mark. Words whose mark
+   * has no timepoint are folded into the previous word.
+   * @returns {{words: Array, sentences: Array, durationMs: number}|null} - null if no timepoints came back
+   */
+  buildTimings(words, timepoints) {
+    const marks = new Map(
+      timepoints.map((point) => [point.markName, Math.round(Number(point.timeSeconds || 0) * 1000)])
+    );
+    if (words.length === 0 || !marks.has('w0')) {
+      return null;
+    }
+
+    const durationMs = marks.get(END_MARK) ?? Math.max(...marks.values());
+    const startOf = (index) => (index < words.length ? marks.get(`w${index}`) : durationMs);
+
+    const wordTimings = [];
+    words.forEach((word, index) => {
+      const startMs = startOf(index);
+      const previous = wordTimings[wordTimings.length - 1];
+      if (startMs === undefined && previous) {
+        // No timepoint for this word: fold it into the previous one
+        previous.text = `${previous.text} ${word.text}`;
+        previous.sentenceEnd = word.sentenceEnd;
+        return;
+      }
+
+      let next = index + 1;
+      while (startOf(next) === undefined) next++;
+      wordTimings.push({ text: word.text, startMs, endMs: startOf(next), sentenceEnd: word.sentenceEnd });
+    });
+
+    const sentences = [];
+    let current = null;
+    for (const word of wordTimings) {
+      current = current || { text: '', startMs: word.startMs };
+      current.text = current.text ? `${current.text} ${word.text}` : word.text;
+      current.endMs = word.endMs;
+      if (word.sentenceEnd) {
+        sentences.push(current);
+        current = null;
+      }
+    }
+    if (current) sentences.push(current);
+
+    return {
+      words: wordTimings.map(({ text, startMs, endMs }) => ({ text, startMs, endMs })),
+      sentences,
+      durationMs,
+    };
+  }
+
   /**
    * Save audio content to file
    */
@@ -106,42 +223,160 @@ class GoogleTTSService {
   }
 
   /**
-   * List available voices
+   * List available voices, optionally for one language (e.g. 'de-DE', or just 'de')
    */
-  async listVoices() {
+  async listVoices(languageCode = null) {
     try {
-      if (!this.client) {
-        throw new Error('Google Text-to-Speech not configured');
+      const voices = await this.getVoiceCatalogue();
+      if (!languageCode) {
+        return voices;
       }
 
-      const [response] = await this.client.listVoices({});
-
-      return response.voices.filter(
-        (voice) => voice.languageCodes[0] === 'en-US'
+      const wanted = languageCode.toLowerCase();
+      return voices.filter((voice) =>
+        voice.languageCodes.some((code) => {
+          const lower = code.toLowerCase();
+          return lower === wanted || lower.split('-')[0] === wanted;
+        })
       );
     } catch (error) {
       throw new Error(`Failed to list voices: ${error.message}`);
     }
   }
 
+  /**
+   * Every voice the API offers, cached for VOICE_CATALOGUE_TTL_MS
+   * A failed refresh keeps serving the previous catalogue.
+   * @returns {Promise<Array<{name: string, languageCodes: string[], gender: string, naturalSampleRateHertz: number}>>}
+   */
+  async getVoiceCatalogue() {
+    if (this.voiceCatalogue && Date.now() - this.voiceCatalogueLoadedAt < VOICE_CATALOGUE_TTL_MS) {
+      return this.voiceCatalogue;
+    }
+
+    if (!this.voiceCatalogueRequest) {
+      this.voiceCatalogueRequest = this.fetchVoiceCatalogue()
+        .then((voices) => {
+          this.voiceCatalogue = voices;
+          this.voiceCatalogueLoadedAt = Date.now();
+          return voices;
+        })
+        .catch((error) => {
+          if (this.voiceCatalogue) {
+            console.error('Failed to refresh voice catalogue, using cached copy:', error.message);
+            return this.voiceCatalogue;
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.voiceCatalogueRequest = null;
+        });
+    }
+
+    return this.voiceCatalogueRequest;
+  }
+
+  async fetchVoiceCatalogue() {
+    if (!this.client) {
+      throw new Error('Google Text-to-Speech not configured');
+    }
+
+    const [response] = await this.client.listVoices({});
+    return (response.voices || [])
+      .map((voice) => ({
+        name: voice.name,
+        languageCodes: voice.languageCodes,
+        gender: voice.ssmlGender,
+        naturalSampleRateHertz: voice.naturalSampleRateHertz,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check speaking rate and pitch (semitones) against the ranges the API accepts
+   */
+  validateProsody({ speed = 1.0, pitch = 0 } = {}) {
+    if (typeof speed !== 'number' || !(speed >= 0.5 && speed <= 2.0)) {
+      throw new Error('speed must be a number between 0.5 and 2.0');
+    }
+    if (typeof pitch !== 'number' || !(pitch >= -20 && pitch <= 20)) {
+      throw new Error('pitch must be a number between -20 and 20 semitones');
+    }
+  }
+
+  /**
+   * Check a voice name against the catalogue
+   * If the catalogue can't be loaded (e.g. TTS not configured locally) only the name format is checked.
+   * @returns {Promise<object|null>} - The catalogue entry, or null when it couldn't be checked
+   */
+  async validateVoice(voiceName) {
+    if (typeof voiceName !== 'string' || !VOICE_NAME_PATTERN.test(voiceName)) {
+      throw new Error(`Invalid voice name: ${voiceName}`);
+    }
+
+    let voices;
+    try {
+      voices = await this.getVoiceCatalogue();
+    } catch (error) {
+      console.warn(`Voice catalogue unavailable, accepting ${voiceName} unchecked:`, error.message);
+      return null;
+    }
+
+    const voice = voices.find((item) => item.name === voiceName);
+    if (!voice) {
+      const languageCode = this.getLanguageCode(voiceName);
+      const available = voices.filter((item) => item.languageCodes.includes(languageCode)).length;
+      throw new Error(
+        available > 0
+          ? `Unknown voice: ${voiceName} (${available} voices available for ${languageCode})`
+          : `Unknown voice: ${voiceName} (no voices available for ${languageCode})`
+      );
+    }
+    return voice;
+  }
+
+  /**
+   * Locale of a voice, from its name (en-US-Neural2-A -> en-US)
+   */
+  getLanguageCode(voiceName) {
+    const match = VOICE_NAME_PATTERN.exec(voiceName || '');
+    return match ? match[1] : 'en-US';
+  }
+
   /**
    * Get voice details
+   * Uses the cached catalogue when it has been loaded, otherwise a built-in table of common voices
    */
   getVoiceDetails(voiceName) {
+    const cached = this.voiceCatalogue?.find((voice) => voice.name === voiceName);
+    if (cached) {
+      return {
+        name: cached.name,
+        gender: cached.gender,
+        naturalSampleRateHertz: cached.naturalSampleRateHertz,
+      };
+    }
+
+    // Genders as listed by the API's voice catalogue
     const voices = {
       'en-US-Neural2-A': {
         name: 'en-US-Neural2-A',
-        gender: 'FEMALE',
+        gender: 'MALE',
         naturalSampleRateHertz: 24000,
       },
       'en-US-Neural2-C': {
         name: 'en-US-Neural2-C',
+        gender: 'FEMALE',
+        naturalSampleRateHertz: 24000,
+      },
+      'en-US-Neural2-D': {
+        name: 'en-US-Neural2-D',
         gender: 'MALE',
         naturalSampleRateHertz: 24000,
       },
       'en-US-Neural2-E': {
         name: 'en-US-Neural2-E',
-        gender: 'MALE',
+        gender: 'FEMALE',
         naturalSampleRateHertz: 24000,
       },
       'en-US-Neural2-F': {
@@ -149,6 +384,11 @@ class GoogleTTSService {
         gender: 'FEMALE',
         naturalSampleRateHertz: 24000,
       },
+      'en-US-Neural2-J': {
+        name: 'en-US-Neural2-J',
+        gender: 'MALE',
+        naturalSampleRateHertz: 24000,
+      },
     };
 
     return voices[voiceName] || voices['en-US-Neural2-A'];
@@ -156,6 +396,7 @@ class GoogleTTSService {
 
   /**
    * Calculate estimated duration of speech
+   * Only a fallback: generateSpeech returns the real duration in timings.durationMs
    */
   estimateDuration(text, rate = 1.0) {
     // Average speaking rate: ~150 words per minute
@@ -1,18 +1,24 @@
 import axios from 'axios';
 import { GoogleAuth } from 'google-auth-library';
 import fs from 'fs';
-import path from 'path';
 import { config } from '../config.js';
-import gcsService from './gcsService.js';
+import { VideoProvider } from './videoProvider.js';
+import { GenerationError, fromOperationError } from './retryPolicy.js';
 
-class GoogleVideoService {
+/**
+ * Google Vertex AI Veo 3 video provider
+ */
+class GoogleVideoService extends VideoProvider {
   constructor() {
+    // 10 minutes max (120 * 5 seconds); only duration and seed are sent to Veo
+    super('veo', { pollIntervalMs: 5000, maxPolls: 120, renderOptions: ['duration', 'seed'] });
+
     this.keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
     this.projectId = process.env.GOOGLE_PROJECT_ID || 'veoflow-485315';
     this.location = process.env.GOOGLE_LOCATION || 'us-central1';
     this.modelId = process.env.VEO_MODEL_ID || 'veo-3.0-fast-generate-001';
     this.baseUrl = `https://${this.location}-aiplatform.googleapis.com/v1/projects/${this.projectId}/locations/${this.location}/publishers/google/models/${this.modelId}`;
-    
+
     // Initialize Google Auth for REST API
     if (this.keyFilePath) {
       this.auth = new GoogleAuth({
@@ -32,7 +38,7 @@ class GoogleVideoService {
         scopes: ['https://www.googleapis.com/auth/cloud-platform']
       });
     }
-    
+
     console.log('Google Vertex AI Veo 3 initialized:', {
       project: this.projectId,
       model: this.modelId,
@@ -40,502 +46,168 @@ class GoogleVideoService {
       hasKeyFile: !!this.keyFilePath,
       hasEnvCredentials: !!(config.googlePrivateKey && config.googleClientEmail)
     });
-    
-    // In-memory job storage
-    this.jobs = new Map();
   }
 
-  /**
-   * Generate video using Google Vertex AI Veo 3
-   */
-  async generateVideo(prompt, options = {}) {
-    try {
-      if (!this.keyFilePath) {
-        throw new Error('Google Service Account Key not configured. Check GOOGLE_APPLICATION_CREDENTIALS in .env');
-      }
-
-      const {
-        duration = 5,
-        quality = 'standard',
-        aspectRatio = '16:9',
-        resolution = '1080p',
-      } = options;
-
-      const jobId = this.generateJobId();
-      
-      // Store job info
-      this.jobs.set(jobId, {
-        status: 'processing',
-        prompt,
-        options,
-        startTime: Date.now(),
-        progress: 0,
-      });
-
-      // Simulate async processing
-      this.processVideoGeneration(jobId, prompt, options);
-
-      return {
-        status: 'queued',
-        jobId,
-        estimatedProcessingTime: this.getProcessingTime(quality),
-        videoPrompt: prompt,
-      };
-    } catch (error) {
-      throw new Error(`Video generation failed: ${error.message}`);
+  assertConfigured() {
+    if (!this.auth) {
+      throw new Error('Google Service Account Key not configured. Check GOOGLE_APPLICATION_CREDENTIALS in .env');
     }
   }
 
+  getModelId() {
+    return this.modelId;
+  }
+
   /**
-   * Process video generation asynchronously using Google Vertex AI Veo 3
+   * Start a Veo 3 long-running generation via the REST API
    */
-  async processVideoGeneration(jobId, prompt, options) {
-    try {
-      const job = this.jobs.get(jobId);
-      if (!job) return;
-
-      job.progress = 10;
-      job.status = 'processing';
-      
-      console.log(`Starting Veo 3 video generation for: "${prompt}"`);
-      console.log(`Options:`, JSON.stringify({
-        duration: options.duration,
-        quality: options.quality,
-        style: options.style,
-        captions: options.captions
-      }, null, 2));
-
-      if (!this.keyFilePath) {
-        throw new Error('Google Service Account Key not configured');
-      }
-
-      // Get OAuth access token
-      const client = await this.auth.getClient();
-      const accessToken = await client.getAccessToken();
-      
-      if (!accessToken.token) {
-        throw new Error('Failed to get access token');
-      }
-
-      // Build enhanced prompt with captions info if enabled
-      let enhancedPrompt = prompt;
-      if (options.captions?.enabled) {
-        enhancedPrompt += `. Generate with ${options.captions.type} style captions/subtitles, ${options.captions.fontSize} font size.`;
-        console.log('Captions enabled:', options.captions.type, 'Font size:', options.captions.fontSize);
-      }
-
-      // Start Veo 3 long-running video generation via REST API
-      job.progress = 15;
-      
-      console.log('Calling Veo 3 predictLongRunning endpoint (REST API)...');
-      const startResponse = await axios.post(
-        `${this.baseUrl}:predictLongRunning`,
-        {
-          instances: [{ prompt: enhancedPrompt }],
-          parameters: {
-            videoDuration: `${options.duration}s` // Pass duration in format "30s", "45s", etc.
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken.token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000
-        }
-      );
-
-      console.log('API Response:', JSON.stringify(startResponse.data, null, 2));
-      
-      let result; // Declare result variable here
-      
-      // Check if operation is immediately complete (unlikely for video gen)
-      if (startResponse.data.done) {
-        console.log('Operation completed immediately');
-        result = startResponse.data.response;
-      } else {
-        const operationName = startResponse.data.name;
-        console.log('Veo 3 operation started:', operationName);
-        
-        job.progress = 20;
-
-        // Poll for completion using the FULL operation name (including publishers/models path)
-        let pollCount = 0;
-        const maxPolls = 120; // 10 minutes max (120 * 5 seconds)
-
-        while (!startResponse.data.done && pollCount < maxPolls) {
-          await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-          pollCount++;
-
-          // Get fresh token for polling
-          const pollClient = await this.auth.getClient();
-          const pollToken = await pollClient.getAccessToken();
-
-          // Use fetchPredictOperation endpoint (POST, not GET)
-          const fetchUrl = `https://${this.location}-aiplatform.googleapis.com/v1/projects/${this.projectId}/locations/${this.location}/publishers/google/models/${this.modelId}:fetchPredictOperation`;
-          console.log(`Polling (${pollCount}/${maxPolls}) via fetchPredictOperation...`);
-          
-          const opResponse = await axios.post(
-            fetchUrl,
-            {
-              operationName: operationName
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${pollToken.token}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-
-          console.log('Poll response:', JSON.stringify(opResponse.data, null, 2));
-
-          if (opResponse.data.done) {
-            result = opResponse.data.response;
-            console.log('Veo 3 generation completed!');
-            break;
-          }
-
-          if (opResponse.data.error) {
-            throw new Error(`Veo 3 API error: ${JSON.stringify(opResponse.data.error)}`);
-          }
-
-          // Progress goes from 20% to 90% over the polling period
-          job.progress = Math.min(20 + Math.floor((pollCount / maxPolls) * 70), 90);
-        }
-
-        if (!result) {
-          throw new Error('Video generation timeout - operation took too long');
-        }
-      }
-
-      // Extract and save video
-      job.progress = 95;
-      
-      // Check for videos array (Veo 3 response format)
-      if (result.videos && result.videos.length > 0) {
-        const videoBase64 = result.videos[0].bytesBase64Encoded;
-        
-        if (!videoBase64) {
-          throw new Error('No video content in videos array: ' + JSON.stringify(result.videos[0]));
-        }
-
-        // Decode and save video
-        const videoBuffer = Buffer.from(videoBase64, 'base64');
-        const uploadDir = path.join(process.cwd(), 'uploads', 'videos');
-        if (!fs.existsSync(uploadDir)) {
-          fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        const videoPath = path.join(uploadDir, `${jobId}.mp4`);
-        fs.writeFileSync(videoPath, videoBuffer);
-        console.log(`Video saved to ${videoPath}`);
-      } else if (result.predictions && result.predictions.length > 0) {
-        // Fallback to predictions format
-        const prediction = result.predictions[0];
-        const videoBase64 = prediction.video || prediction.bytesBase64Encoded;
-        
-        if (!videoBase64) {
-          throw new Error('No video content in prediction: ' + JSON.stringify(prediction));
-        }
-
-        // Decode and save video
-        const videoBuffer = Buffer.from(videoBase64, 'base64');
-        const uploadDir = path.join(process.cwd(), 'uploads', 'videos');
-        if (!fs.existsSync(uploadDir)) {
-          fs.mkdirSync(uploadDir, { recursive: true });
+  async generate(prompt, options = {}) {
+    this.assertConfigured();
+
+    console.log(`Starting Veo 3 video generation for: "${prompt}"`);
+    console.log(`Options:`, JSON.stringify({
+      duration: options.duration,
+      quality: options.quality,
+      style: options.style
+    }, null, 2));
+
+    const accessToken = await this.getAccessToken();
+
+    console.log('Calling Veo 3 predictLongRunning endpoint (REST API)...');
+    const startResponse = await axios.post(
+      `${this.baseUrl}:predictLongRunning`,
+      {
+        instances: [{ prompt }],
+        parameters: {
+          videoDuration: `${options.duration}s`, // Pass duration in format "30s", "45s", etc.
+          ...(Number.isInteger(options.seed) && { seed: options.seed }) // Same seed and prompt give the same video
         }
-        const videoPath = path.join(uploadDir, `${jobId}.mp4`);
-        fs.writeFileSync(videoPath, videoBuffer);
-        console.log(`Video saved to ${videoPath}`);
-      } else {
-        throw new Error('No video content in response: ' + JSON.stringify(result));
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000
       }
+    );
 
-      job.progress = 100;
-      job.status = 'completed';
-      job.completedAt = Date.now();
-      const localVideoPath = path.join(process.cwd(), `uploads/videos/${jobId}.mp4`);
-      job.videoPath = `uploads/videos/${jobId}.mp4`; // Always keep local path
-      
-      // Upload to Google Cloud Storage and get signed URL
-      try {
-        const { fileName, signedUrl } = await gcsService.uploadVideo(
-          localVideoPath,
-          options.projectId || 'default'
-        );
-        job.gcsFileName = fileName; // Store GCS filename for future signed URL generation
-        job.videoUrl = signedUrl; // Store signed URL (valid for 24 hours)
-        console.log(`Video uploaded to GCS: ${fileName}`);
-        console.log(`Job ${jobId} has both GCS signed URL and local fallback`);
-      } catch (uploadError) {
-        console.error('GCS upload failed, using local file only:', uploadError.message);
-        job.videoUrl = null; // No GCS URL available
-        job.gcsFileName = null;
-      }
-      
-      console.log(`Veo 3 video saved for job ${jobId}`);
+    console.log('API Response:', JSON.stringify(startResponse.data, null, 2));
 
-    } catch (error) {
-      const job = this.jobs.get(jobId);
-      if (job) {
-        job.status = 'failed';
-        job.error = error.message;
-      }
-      console.error(`Veo 3 video generation failed for job ${jobId}:`, error.message);
-      console.error('Full error details:', JSON.stringify(error.response?.data || error, null, 2));
-      
-      // Create placeholder as fallback
-      await this.createPlaceholderVideo(jobId, prompt);
-      const fallbackJob = this.jobs.get(jobId);
-      if (fallbackJob) {
-        fallbackJob.progress = 100;
-        fallbackJob.status = 'completed';
-        
-        // Try to upload placeholder to GCS too
-        try {
-          const localPath = path.join(process.cwd(), `uploads/videos/${jobId}.mp4`);
-          const { fileName, signedUrl } = await gcsService.uploadVideo(
-            localPath,
-            options.projectId || 'default'
-          );
-          fallbackJob.gcsFileName = fileName;
-          fallbackJob.videoUrl = signedUrl;
-          fallbackJob.videoPath = null;
-        } catch (err) {
-          console.error('Failed to upload placeholder to GCS:', err.message);
-          fallbackJob.videoPath = `uploads/videos/${jobId}.mp4`;
-        }
-      }
+    // Check if operation is immediately complete (unlikely for video gen)
+    if (startResponse.data.done) {
+      console.log('Operation completed immediately');
+      return { operationId: startResponse.data.name || null, done: true, result: startResponse.data.response };
     }
+
+    console.log('Veo 3 operation started:', startResponse.data.name);
+    return { operationId: startResponse.data.name, done: false };
   }
 
   /**
-   * Download video from URL
+   * Check a Veo 3 operation using the FULL operation name (including publishers/models path)
    */
-  async downloadVideo(url, jobId) {
-    const uploadDir = path.join(process.cwd(), 'uploads', 'videos');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-
-    const filePath = path.join(uploadDir, `${jobId}.mp4`);
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream'
-    });
+  async poll(operationName) {
+    this.assertConfigured();
+    const accessToken = await this.getAccessToken();
+
+    // Use fetchPredictOperation endpoint (POST, not GET)
+    const opResponse = await axios.post(
+      `${this.baseUrl}:fetchPredictOperation`,
+      {
+        operationName: operationName
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
 
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
+    console.log('Poll response:', JSON.stringify(opResponse.data, null, 2));
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-  }
+    if (opResponse.data.error) {
+      throw fromOperationError(opResponse.data.error, 'Veo 3 API error');
+    }
 
-  /**
-   * Create placeholder video as fallback
-   */
-  async createPlaceholderVideo(jobId, prompt) {
-    const uploadDir = path.join(process.cwd(), 'uploads', 'videos');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (opResponse.data.done) {
+      console.log('Veo 3 generation completed!');
+      return { done: true, result: opResponse.data.response };
     }
 
-    const filePath = path.join(uploadDir, `${jobId}.mp4`);
-    
-    // Create a minimal but playable MP4 file
-    const minimalMP4 = Buffer.from(
-      'AAAAIGZ0eXBpc29tAAACAGlzb21pc28yYXZjMW1wNDEAAAAIZnJlZQAACKBtZGF0AAAC' +
-      'rgYF//+q3EXpvebZSLeWLNgg2SPu73gyNjQgLSBjb3JlIDE0OCByMjc0MyA1Yzc5ZGMy' +
-      'IC0gSC4yNjQvTVBFRy00IEFWQyBjb2RlYyAtIENvcHlsZWZ0IDIwMDMtMjAxNiAtIGh0' +
-      'dHA6Ly93d3cudmlkZW9sYW4ub3JnL3gyNjQuaHRtbCAtIG9wdGlvbnM6IGNhYmFjPTEg' +
-      'cmVmPTMgZGVibG9jaz0xOjA6MCBhbmFseXNlPTB4MzoweDExMyBtZT1oZXggc3VibWU9' +
-      'NyBwc3k9MSBwc3lfcmQ9MS4wMDowLjAwIG1peGVkX3JlZj0xIG1lX3JhbmdlPTE2IGNo' +
-      'cm9tYV9tZT0xIHRyZWxsaXM9MSA4eDhkY3Q9MSBjcW09MCBkZWFkem9uZT0yMSwxMSBm' +
-      'YXN0X3Bza2lwPTEgY2hyb21hX3FwX29mZnNldD0tMiB0aHJlYWRzPTYgbG9va2FoZWFk' +
-      'X3RocmVhZHM9MSBzbGljZWRfdGhyZWFkcz0wIG5yPTAgZGVjaW1hdGU9MSBpbnRlcmxh' +
-      'Y2VkPTAgYmx1cmF5X2NvbXBhdD0wIGNvbnN0cmFpbmVkX2ludHJhPTAgYmZyYW1lcz0z' +
-      'IGJfcHlyYW1pZD0yIGJfYWRhcHQ9MSBiX2JpYXM9MCBkaXJlY3Q9MSB3ZWlnaHRiPTEg' +
-      'b3Blbl9nb3A9MCB3ZWlnaHRwPTIga2V5aW50PTI1MCBrZXlpbnRfbWluPTI1IHNjZW5l' +
-      'Y3V0PTQwIGludHJhX3JlZnJlc2g9MCByY19sb29rYWhlYWQ9NDAgcmM9Y3JmIG1idHJl' +
-      'ZT0xIGNyZj0yMy4wIHFjb21wPTAuNjAgcXBtaW49MCBxcG1heD02OSBxcHN0ZXA9NCBp' +
-      'cF9yYXRpbz0xLjQwIGFxPTE6MS4wMACAAAAAD2WIhAA3//728P4FNjuZQQAAAu5tb292' +
-      'AAAAbG12aGQAAAAAAAAAAAAAAAAAAAPoAAAAZAABAAABAAAAAAAAAAAAAAAAAQAAAAAA' +
-      'AAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAAIddHJhawAAAFx0a2hkAAAAAwAAAAAAAAAAAAAAAQAAAAAAAABkAAAAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAEAAAAACWAAAAZAAAAAAACRlZHRzAAAAHGVsc3QAAAAAAAAAAQAAAGQAAAAAAAEAAAAAAeFtZGlhAAAAIG1kaGQAAAAAAAAAAAAAAAAAADwAAAAEAFXEAAAAAAAtaGRscgAAAAAAAAAAdmlkZQAAAAAAAAAAAAAAAFZpZGVvSGFuZGxlcgAAAAGMbWluZgAAABR2bWhkAAAAAQAAAAAAAAAAAAAAJGRpbmYAAAAcZHJlZgAAAAAAAAABAAAADHVybCAAAAABAAABTHN0YmwAAAC0c3RzZAAAAAAAAAABAAAApGF2YzEAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAADIAGQAEgAAABIAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAY//8AAAAyYXZjQwFkAAr/4QAYZ2QACqzZQDgQAAAAAwAEAAADAPA8WLZYAQAGaOvjyyLAAAAAGHN0dHMAAAAAAAAAAQAAAAEAAAQAAAAAFHN0c3MAAAAAAAAAAQAAAAEAAAAYY3R0cwAAAAAAAAABAAAAAgAABAAAAAAcc3RzYwAAAAAAAAABAAAAAQAAAAEAAAABAAAAFHN0c3oAAAAAAAACOQAAAAEAAAAUc3RjbwAAAAAAAAABAAAAMAAAAGJ1ZHRhAAAAWm1ldGEAAAAAAAAAIWhkbHIAAAAAAAAAAG1kaXJhcHBsAAAAAAAAAAAAAAAALWlsc3QAAAAlqXRvbwAAAB1kYXRhAAAAAQAAAABMYXZmNTYuNDAuMTAx',
-      'base64'
-    );
-    
-    fs.writeFileSync(filePath, minimalMP4);
-    console.log(`Created placeholder video: ${filePath} for prompt: "${prompt}"`);
+    return { done: false };
   }
 
   /**
-   * Create a simple video file with colored background
-   * Uses FFmpeg if available, otherwise creates a basic playable MP4
+   * Cancel a Veo 3 operation (best effort; Vertex may finish it anyway)
    */
-  async simulateVideoEncoding(jobId, prompt, options) {
-    return new Promise(async (resolve) => {
-      const uploadDir = path.join(process.cwd(), 'uploads', 'videos');
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
+  async cancel(operationName) {
+    this.assertConfigured();
+    const accessToken = await this.getAccessToken();
+
+    await axios.post(
+      `https://${this.location}-aiplatform.googleapis.com/v1/${operationName}:cancel`,
+      {},
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
       }
-
-      const filePath = path.join(uploadDir, `${jobId}.mp4`);
-      
-      // Try using FFmpeg to create a real video with colored background
-      const { exec } = await import('child_process');
-      const duration = options?.duration || 5;
-      
-      // Create a simple colored video with FFmpeg
-      const ffmpegCommand = `ffmpeg -f lavfi -i color=c=blue:s=1280x720:d=${duration} -vf "drawtext=text='${prompt.replace(/'/g, "\\'")}':fontcolor=white:fontsize=48:x=(w-text_w)/2:y=(h-text_h)/2" -c:v libx264 -t ${duration} -pix_fmt yuv420p -y "${filePath}"`;
-      
-      exec(ffmpegCommand, (error) => {
-        if (error) {
-          console.log('FFmpeg not available, creating basic playable MP4');
-          // Fallback: Create a more complete MP4 structure that video players can handle
-          this.createBasicMP4(filePath, prompt);
-        } else {
-          console.log(`Created FFmpeg video: ${filePath}`);
-        }
-        resolve();
-      });
-      
-      // Timeout fallback
-      setTimeout(() => {
-        if (!fs.existsSync(filePath) || fs.statSync(filePath).size < 1000) {
-          this.createBasicMP4(filePath, prompt);
-          resolve();
-        }
-      }, 3000);
-    });
-  }
-
-  /**
-   * Create a basic but playable MP4 file
-   */
-  createBasicMP4(filePath, prompt) {
-    // Create a minimal but valid MP4 file that browsers can play
-    // This is a base64 encoded 1-second black video
-    const minimalMP4 = Buffer.from(
-      'AAAAIGZ0eXBpc29tAAACAGlzb21pc28yYXZjMW1wNDEAAAAIZnJlZQAACKBtZGF0AAAC' +
-      'rgYF//+q3EXpvebZSLeWLNgg2SPu73gyNjQgLSBjb3JlIDE0OCByMjc0MyA1Yzc5ZGMy' +
-      'IC0gSC4yNjQvTVBFRy00IEFWQyBjb2RlYyAtIENvcHlsZWZ0IDIwMDMtMjAxNiAtIGh0' +
-      'dHA6Ly93d3cudmlkZW9sYW4ub3JnL3gyNjQuaHRtbCAtIG9wdGlvbnM6IGNhYmFjPTEg' +
-      'cmVmPTMgZGVibG9jaz0xOjA6MCBhbmFseXNlPTB4MzoweDExMyBtZT1oZXggc3VibWU9' +
-      'NyBwc3k9MSBwc3lfcmQ9MS4wMDowLjAwIG1peGVkX3JlZj0xIG1lX3JhbmdlPTE2IGNo' +
-      'cm9tYV9tZT0xIHRyZWxsaXM9MSA4eDhkY3Q9MSBjcW09MCBkZWFkem9uZT0yMSwxMSBm' +
-      'YXN0X3Bza2lwPTEgY2hyb21hX3FwX29mZnNldD0tMiB0aHJlYWRzPTYgbG9va2FoZWFk' +
-      'X3RocmVhZHM9MSBzbGljZWRfdGhyZWFkcz0wIG5yPTAgZGVjaW1hdGU9MSBpbnRlcmxh' +
-      'Y2VkPTAgYmx1cmF5X2NvbXBhdD0wIGNvbnN0cmFpbmVkX2ludHJhPTAgYmZyYW1lcz0z' +
-      'IGJfcHlyYW1pZD0yIGJfYWRhcHQ9MSBiX2JpYXM9MCBkaXJlY3Q9MSB3ZWlnaHRiPTEg' +
-      'b3Blbl9nb3A9MCB3ZWlnaHRwPTIga2V5aW50PTI1MCBrZXlpbnRfbWluPTI1IHNjZW5l' +
-      'Y3V0PTQwIGludHJhX3JlZnJlc2g9MCByY19sb29rYWhlYWQ9NDAgcmM9Y3JmIG1idHJl' +
-      'ZT0xIGNyZj0yMy4wIHFjb21wPTAuNjAgcXBtaW49MCBxcG1heD02OSBxcHN0ZXA9NCBp' +
-      'cF9yYXRpbz0xLjQwIGFxPTE6MS4wMACAAAAAD2WIhAA3//728P4FNjuZQQAAAu5tb292' +
-      'AAAAbG12aGQAAAAAAAAAAAAAAAAAAAPoAAAAZAABAAABAAAAAAAAAAAAAAAAAQAAAAAA' +
-      'AAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAAIddHJhawAAAFx0a2hkAAAAAwAAAAAAAAAAAAAAAQAAAAAAAABkAAAAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAEAAAAACWAAAAZAAAAAAACRlZHRzAAAAHGVsc3QAAAAAAAAAAQAAAGQAAAAAAAEAAAAAAeFtZGlhAAAAIG1kaGQAAAAAAAAAAAAAAAAAADwAAAAEAFXEAAAAAAAtaGRscgAAAAAAAAAAdmlkZQAAAAAAAAAAAAAAAFZpZGVvSGFuZGxlcgAAAAGMbWluZgAAABR2bWhkAAAAAQAAAAAAAAAAAAAAJGRpbmYAAAAcZHJlZgAAAAAAAAABAAAADHVybCAAAAABAAABTHN0YmwAAAC0c3RzZAAAAAAAAAABAAAApGF2YzEAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAADIAGQAEgAAABIAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAY//8AAAAyYXZjQwFkAAr/4QAYZ2QACqzZQDgQAAAAAwAEAAADAPA8WLZYAQAGaOvjyyLAAAAAGHN0dHMAAAAAAAAAAQAAAAEAAAQAAAAAFHN0c3MAAAAAAAAAAQAAAAEAAAAYY3R0cwAAAAAAAAABAAAAAgAABAAAAAAcc3RzYwAAAAAAAAABAAAAAQAAAAEAAAABAAAAFHN0c3oAAAAAAAACOQAAAAEAAAAUc3RjbwAAAAAAAAABAAAAMAAAAGJ1ZHRhAAAAWm1ldGEAAAAAAAAAIWhkbHIAAAAAAAAAAG1kaXJhcHBsAAAAAAAAAAAAAAAALWlsc3QAAAAlqXRvbwAAAB1kYXRhAAAAAQAAAABMYXZmNTYuNDAuMTAx',
-      'base64'
     );
-    
-    fs.writeFileSync(filePath, minimalMP4);
-    console.log(`Created basic MP4 file: ${filePath} for prompt: "${prompt}"`);
+    return true;
   }
 
   /**
-   * Check video generation status
+   * Decode the base64 video from a Veo 3 response and save it
    */
-  async getVideoStatus(jobId) {
-    try {
-      const job = this.jobs.get(jobId);
-      if (!job) {
-        throw new Error('Job not found');
-      }
-
-      const elapsedTime = Math.floor((Date.now() - job.startTime) / 1000);
-      const estimatedTotal = this.getProcessingTime(job.options?.quality || 'standard');
-      const estimatedTimeRemaining = Math.max(0, estimatedTotal - elapsedTime);
+  async fetchResult(result, destPath) {
+    let videoBase64;
 
-      // Return signed URL from GCS (preferred) or local path (fallback)
-      let videoUrl = null;
-      let localPath = job.videoPath;
-      
-      // If video is completed and we have GCS filename, get fresh signed URL
-      if (job.status === 'completed' && job.gcsFileName) {
-        try {
-          // Regenerate signed URL if needed (they expire after 24 hours)
-          videoUrl = await gcsService.getSignedUrl(job.gcsFileName, 86400);
-          job.videoUrl = videoUrl; // Update stored URL
-          console.log(`Fresh signed URL ready for job ${jobId}`);
-        } catch (err) {
-          console.error('Failed to generate signed URL, will use local fallback:', err.message);
-          videoUrl = null; // Will fall back to local
-        }
-      } else if (job.videoUrl) {
-        // Use existing signed URL
-        videoUrl = job.videoUrl;
-      }
-      
-      const statusData = {
-        jobId,
-        status: job.status,
-        progress: job.progress,
-        estimatedTimeRemaining,
-        error: job.error,
-        videoUrl: videoUrl, // Signed URL from GCS (or null)
-        localPath: localPath, // Local fallback path
-      };
-      
-      console.log(`=== Job Status Request for ${jobId} ===`);
-      console.log(`Status: ${job.status}, Progress: ${job.progress}%`);
-      console.log(`GCS Signed URL: ${videoUrl ? 'Available' : 'Not available'}`);
-      console.log(`Local Path: ${localPath || 'Not available'}`);
-      
-      return statusData;
-    } catch (error) {
-      throw new Error(`Failed to get video status: ${error.message}`);
+    // Responsible AI filters drop the videos and report why; retrying the same prompt won't help
+    if (result?.raiMediaFilteredCount > 0 && !result.videos?.length) {
+      const reasons = (result.raiMediaFilteredReasons || []).join('; ') || 'no reason given';
+      throw new GenerationError(`Video blocked by safety filters: ${reasons}`);
     }
-  }
 
-  /**
-   * Download/retrieve generated video
-   */
-  async getVideoUrl(jobId) {
-    try {
-      const job = this.jobs.get(jobId);
-      if (!job) {
-        throw new Error('Job not found');
-      }
+    // Check for videos array (Veo 3 response format)
+    if (result?.videos && result.videos.length > 0) {
+      videoBase64 = result.videos[0].bytesBase64Encoded;
 
-      if (job.status !== 'completed') {
-        throw new Error('Video not ready yet');
+      if (!videoBase64) {
+        throw new Error('No video content in videos array: ' + JSON.stringify(result.videos[0]));
       }
+    } else if (result?.predictions && result.predictions.length > 0) {
+      // Fallback to predictions format
+      const prediction = result.predictions[0];
+      videoBase64 = prediction.video || prediction.bytesBase64Encoded;
 
-      // Return signed URL from GCS (or local fallback)
-      if (job.gcsFileName) {
-        // Regenerate fresh signed URL
-        return await gcsService.getSignedUrl(job.gcsFileName, 86400);
+      if (!videoBase64) {
+        throw new Error('No video content in prediction: ' + JSON.stringify(prediction));
       }
-      
-      return job.videoPath || job.videoUrl;
-    } catch (error) {
-      throw new Error(`Failed to retrieve video: ${error.message}`);
+    } else {
+      throw new Error('No video content in response: ' + JSON.stringify(result));
     }
-  }
 
-  generateJobId() {
-    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    fs.writeFileSync(destPath, Buffer.from(videoBase64, 'base64'));
+    console.log(`Video saved to ${destPath}`);
+    return destPath;
   }
 
-  getProcessingTime(quality) {
-    const times = {
-      fast: 30,
-      standard: 60,
-      high: 120,
-    };
-    return times[quality] || 60;
+  /**
+   * Get a fresh OAuth access token
+   */
+  async getAccessToken() {
+    const client = await this.auth.getClient();
+    const accessToken = await client.getAccessToken();
+
+    if (!accessToken.token) {
+      throw new Error('Failed to get access token');
+    }
+    return accessToken.token;
   }
 }
 
-export const googleVideoService = new GoogleVideoService();
\ No newline at end of file
+export const googleVideoService = new GoogleVideoService();
@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { VideoGenerationJob } from '../models/VideoGenerationJob.js';
+
+// Job fields that clients care about; changes to anything else (leases, retry history) are not pushed
+const WATCHED_FIELDS = ['status', 'progress', 'errorMessage', 'videoUrl', 'provider'];
+
+/**
+ * In-process pub/sub for generation job updates, consumed by SSE and WebSocket clients
+ *
+ * VideoGenerationService publishes as jobs move through processVideoGeneration. When jobs run in a
+ * separate worker process, watchDatabase() republishes their updates from a MongoDB change stream
+ * instead, and local publishes are ignored so clients don't see every update twice.
+ */
+class JobEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.changeStream = null;
+  }
+
+  /**
+   * Publish a job update
+   * @param {object} job - VideoGenerationJob document (or lean object)
+   * @param {string} type - 'progress', 'status' or 'error'
+   */
+  publish(job, type = 'status') {
+    if (!job || this.changeStream) return;
+    this.dispatch(this.toEvent(job, type));
+  }
+
+  dispatch(event) {
+    this.emit(`job:${event.jobId}`, event);
+    if (event.projectId) {
+      this.emit(`project:${event.projectId}`, event);
+    }
+  }
+
+  /**
+   * Listen to one job's updates
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToJob(jobId, listener) {
+    this.on(`job:${jobId}`, listener);
+    return () => this.off(`job:${jobId}`, listener);
+  }
+
+  /**
+   * Listen to updates for every job in a project
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToProject(projectId, listener) {
+    this.on(`project:${projectId}`, listener);
+    return () => this.off(`project:${projectId}`, listener);
+  }
+
+  /**
+   * Shape a job into the payload sent to clients
+   */
+  toEvent(job, type) {
+    return {
+      type,
+      jobId: job._id.toString(),
+      projectId: job.projectId ? job.projectId.toString() : null,
+      sceneId: job.sceneId ? job.sceneId.toString() : null,
+      status: job.status,
+      provider: job.provider,
+      progress: job.progress,
+      error: job.errorMessage || null,
+      retryCount: job.retryCount,
+      nextAttemptAt: job.nextAttemptAt || null,
+      videoUrl: job.videoUrl || null,
+      localPath: job.videoPath || null,
+      timestamp: new Date(),
+    };
+  }
+
+  /**
+   * Republish job updates made by other processes (dedicated workers)
+   * Change streams need a replica set; on a standalone server clients fall back to polling
+   */
+  watchDatabase() {
+    if (this.changeStream) return;
+
+    try {
+      this.changeStream = VideoGenerationJob.watch(
+        [{ $match: { operationType: { $in: ['insert', 'update'] } } }],
+        { fullDocument: 'updateLookup' }
+      );
+    } catch (error) {
+      console.error('Job change stream unavailable:', error.message);
+      return;
+    }
+
+    this.changeStream.on('change', (change) => {
+      if (change.operationType === 'insert') {
+        this.dispatch(this.toEvent(change.fullDocument, 'status'));
+        return;
+      }
+
+      const changed = Object.keys(change.updateDescription?.updatedFields || {});
+      if (!change.fullDocument || !changed.some((field) => WATCHED_FIELDS.includes(field))) {
+        return;
+      }
+
+      let type = 'progress';
+      if (changed.includes('status')) type = 'status';
+      if (changed.includes('errorMessage') && change.fullDocument.errorMessage) type = 'error';
+      this.dispatch(this.toEvent(change.fullDocument, type));
+    });
+
+    this.changeStream.on('error', (error) => {
+      console.error('Job change stream closed, live updates from workers stopped:', error.message);
+      this.changeStream = null;
+    });
+
+    console.log('Watching generation jobs for worker updates');
+  }
+}
+
+export const jobEventService = new JobEventService();
+
+/**
+ * Statuses after which a job never changes again
+ */
+export const FINAL_JOB_STATUSES = ['completed', 'degraded', 'failed', 'cancelled'];
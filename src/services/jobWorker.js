@@ -0,0 +1,182 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { VideoGenerationJob } from '../models/VideoGenerationJob.js';
+import { videoGenerationService } from './videoGenerationService.js';
+import { jobEventService } from './jobEventService.js';
+
+/**
+ * Background worker that claims queued generation jobs from MongoDB
+ *
+ * Jobs are claimed with an atomic findOneAndUpdate that sets a lease (lockedBy/lockedUntil).
+ * The lease is renewed while the job runs; if a worker dies, the lease expires and another
+ * worker reclaims the job and resumes polling from its stored operation name.
+ * Renewal only succeeds while the job is processing, so cancelling a job also aborts its worker.
+ * Any number of workers can run against the same database.
+ */
+class JobWorker {
+  constructor({
+    concurrency = config.workerConcurrency,
+    leaseMs = config.workerLeaseMs,
+    pollIntervalMs = config.workerPollIntervalMs,
+  } = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = concurrency;
+    this.leaseMs = leaseMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.active = new Map(); // jobId -> AbortController
+    this.running = false;
+    this.claiming = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start claiming jobs
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    console.log('Job worker started:', {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      leaseMs: this.leaseMs,
+    });
+
+    this.tick();
+  }
+
+  /**
+   * Stop claiming jobs and release the leases this worker holds so others can take over
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    const jobIds = [...this.active.keys()];
+    for (const controller of this.active.values()) {
+      controller.abort(new Error('Worker shutting down'));
+    }
+
+    if (jobIds.length > 0) {
+      await VideoGenerationJob.updateMany(
+        { _id: { $in: jobIds }, lockedBy: this.workerId },
+        { lockedBy: null, lockedUntil: new Date() }
+      );
+      console.log(`Job worker released ${jobIds.length} job(s)`);
+    }
+  }
+
+  /**
+   * Fill free slots with claimed jobs, then schedule the next check
+   */
+  async tick() {
+    if (this.claiming) return;
+    this.claiming = true;
+    clearTimeout(this.timer);
+
+    try {
+      while (this.running && this.active.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Job worker failed to claim jobs:', error.message);
+    } finally {
+      this.claiming = false;
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.tick(), this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued job that is due, or a processing job whose lease expired
+   */
+  async claimNextJob() {
+    const now = new Date();
+
+    return VideoGenerationJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: null },
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } },
+          { status: 'processing', lockedUntil: null },
+        ],
+      },
+      {
+        status: 'processing',
+        lockedBy: this.workerId,
+        lockedUntil: new Date(now.getTime() + this.leaseMs),
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Process a claimed job while keeping its lease alive
+   */
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const controller = new AbortController();
+    this.active.set(jobId, controller);
+    jobEventService.publish(job, 'status');
+
+    const renewal = setInterval(async () => {
+      try {
+        const renewed = await this.renewLease(jobId);
+        if (!renewed) {
+          controller.abort(new Error('Lease lost or job cancelled'));
+        }
+      } catch (error) {
+        console.error(`Failed to renew lease for job ${jobId}:`, error.message);
+      }
+    }, Math.floor(this.leaseMs / 3));
+
+    try {
+      console.log(`Worker ${this.workerId} processing job ${jobId}`);
+      await videoGenerationService.processVideoGeneration(jobId, {
+        signal: controller.signal,
+      });
+    } catch (error) {
+      console.error(`Worker failed on job ${jobId}:`, error.message);
+    } finally {
+      clearInterval(renewal);
+      this.active.delete(jobId);
+
+      if (!controller.signal.aborted) {
+        await this.releaseLease(jobId).catch((error) =>
+          console.error(`Failed to release lease for job ${jobId}:`, error.message)
+        );
+      }
+
+      // A slot just opened up
+      if (this.running) {
+        this.tick();
+      }
+    }
+  }
+
+  /**
+   * Extend the lease; resolves to null if another worker has taken the job or it was cancelled
+   */
+  async renewLease(jobId) {
+    return VideoGenerationJob.findOneAndUpdate(
+      { _id: jobId, lockedBy: this.workerId, status: 'processing' },
+      { lockedUntil: new Date(Date.now() + this.leaseMs) },
+      { new: true }
+    );
+  }
+
+  async releaseLease(jobId) {
+    await VideoGenerationJob.updateOne(
+      { _id: jobId, lockedBy: this.workerId },
+      { lockedBy: null, lockedUntil: null }
+    );
+  }
+}
+
+export const jobWorker = new JobWorker();
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import { LexiconEntry } from '../models/LexiconEntry.js';
+import { Project } from '../models/Project.js';
+import { ssmlService } from './ssmlService.js';
+
+// Text inside these is already spoken a specific way, so lexicon terms there are left alone
+const PROTECTED_ELEMENTS = ['say-as', 'sub', 'phoneme'];
+
+/**
+ * Pronunciation lexicon: terms mapped to a phoneme or a substitution
+ *
+ * Entries are workspace-wide (all of a user's projects) or scoped to one project; a project entry
+ * overrides a workspace entry for the same term. applyToSsml rewrites narration before it is sent to
+ * TTS, wrapping each occurrence in <phoneme> or <sub>.
+ */
+class LexiconService {
+  async listEntries(userId, { projectId } = {}) {
+    const scopes = [null];
+    if (projectId) {
+      await this.assertProjectAccess(userId, projectId);
+      scopes.push(projectId);
+    }
+    return LexiconEntry.find({ userId, projectId: { $in: scopes } }).sort({ projectId: 1, term: 1 });
+  }
+
+  async createEntry(userId, data) {
+    try {
+      if (data.projectId) {
+        await this.assertProjectAccess(userId, data.projectId);
+      }
+      const fields = this.validateEntry(data);
+
+      return await LexiconEntry.create({
+        userId,
+        projectId: data.projectId || null,
+        ...fields,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Failed to create lexicon entry: "${data.term}" is already defined in this scope`);
+      }
+      throw new Error(`Failed to create lexicon entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load an entry owned by the user
+   */
+  async getEntry(userId, entryId) {
+    const entry = mongoose.isValidObjectId(entryId)
+      ? await LexiconEntry.findOne({ _id: entryId, userId })
+      : null;
+    if (!entry) {
+      throw new Error('Lexicon entry not found');
+    }
+    return entry;
+  }
+
+  async updateEntry(userId, entryId, data) {
+    const entry = await this.getEntry(userId, entryId);
+    try {
+      const fields = this.validateEntry({ ...entry.toObject(), ...data });
+      entry.set(fields);
+      await entry.save();
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Failed to update lexicon entry: "${data.term}" is already defined in this scope`);
+      }
+      throw new Error(`Failed to update lexicon entry: ${error.message}`);
+    }
+  }
+
+  async deleteEntry(userId, entryId) {
+    const entry = await this.getEntry(userId, entryId);
+    await entry.deleteOne();
+    return entry;
+  }
+
+  /**
+   * Entries that apply to a project and voice language; project entries win over workspace entries
+   */
+  async getEffectiveEntries(userId, projectId, languageCode = null) {
+    if (!mongoose.isValidObjectId(userId)) return [];
+
+    const entries = await LexiconEntry.find({
+      userId,
+      projectId: { $in: mongoose.isValidObjectId(projectId) ? [null, projectId] : [null] },
+    });
+
+    const byTerm = new Map();
+    for (const entry of entries.sort((a, b) => (a.projectId ? 1 : 0) - (b.projectId ? 1 : 0))) {
+      if (languageCode && entry.languageCode && !this.matchesLanguage(entry.languageCode, languageCode)) {
+        continue;
+      }
+      byTerm.set(entry.caseSensitive ? entry.term : entry.term.toLowerCase(), entry);
+    }
+    return [...byTerm.values()];
+  }
+
+  /**
+   * Apply the user's (and project's) lexicon to SSML
+   * @returns {Promise<string>}
+   */
+  async applyToSsml(ssml, { userId, projectId = null, languageCode = null } = {}) {
+    const entries = await this.getEffectiveEntries(userId, projectId, languageCode);
+    return this.applyEntries(ssml, entries);
+  }
+
+  /**
+   * Wrap each occurrence of a term in <phoneme> or <sub>, longest terms first
+   * Only whole words are matched, and text already inside say-as, sub or phoneme is left alone.
+   */
+  applyEntries(ssml, entries) {
+    if (entries.length === 0) return ssml;
+
+    const sorted = [...entries].sort((a, b) => b.term.length - a.term.length);
+    const terms = sorted.map((entry) => ssmlService.escapeXml(entry.term));
+    const pattern = new RegExp(
+      terms.map((term) => `(?<![\\p{L}\\p{N}])(${this.escapeRegExp(term)})(?![\\p{L}\\p{N}])`).join('|'),
+      'giu'
+    );
+
+    let protectedDepth = 0;
+    return ssmlService
+      .tokenize(ssml)
+      .map((token) => {
+        if (token.type !== 'text') {
+          if (PROTECTED_ELEMENTS.includes(token.name)) {
+            if (token.type === 'open') protectedDepth++;
+            if (token.type === 'close') protectedDepth--;
+          }
+          return token.raw;
+        }
+        if (protectedDepth > 0) return token.value;
+
+        return token.value.replace(pattern, (match, ...groups) => {
+          const index = groups.findIndex((group, position) => position < sorted.length && group !== undefined);
+          // The pattern ignores case; case-sensitive terms must match exactly
+          if (sorted[index].caseSensitive && match !== terms[index]) return match;
+          return this.wrapTerm(match, sorted[index]);
+        });
+      })
+      .join('');
+  }
+
+  wrapTerm(text, entry) {
+    if (entry.type === 'phoneme') {
+      const alphabet = entry.alphabet || 'ipa';
+      return `<phoneme alphabet="${alphabet}" ph="${ssmlService.escapeXml(entry.phoneme)}">${text}</phoneme>`;
+    }
+    return `<sub alias="${ssmlService.escapeXml(entry.substitution)}">${text}</sub>`;
+  }
+
+  /**
+   * Check an entry and return the fields to store
+   */
+  validateEntry({ term, type, phoneme, alphabet, substitution, caseSensitive, languageCode }) {
+    if (!term?.trim()) {
+      throw new Error('term is required');
+    }
+    if (type === 'phoneme') {
+      if (!phoneme?.trim()) {
+        throw new Error('phoneme is required for phoneme entries');
+      }
+      const problem = ssmlService.checkAttributes('phoneme', { alphabet: alphabet || 'ipa', ph: phoneme });
+      if (problem) {
+        throw new Error(problem);
+      }
+    } else if (type === 'substitution') {
+      if (!substitution?.trim()) {
+        throw new Error('substitution is required for substitution entries');
+      }
+    } else {
+      throw new Error('type must be phoneme or substitution');
+    }
+    if (languageCode && !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(languageCode)) {
+      throw new Error(`Invalid languageCode: ${languageCode}`);
+    }
+
+    return {
+      term: term.trim(),
+      type,
+      phoneme: type === 'phoneme' ? phoneme.trim() : null,
+      alphabet: alphabet || 'ipa',
+      substitution: type === 'substitution' ? substitution.trim() : null,
+      caseSensitive: !!caseSensitive,
+      languageCode: languageCode || null,
+    };
+  }
+
+  /**
+   * 'en' matches every English voice; 'en-GB' only British ones
+   */
+  matchesLanguage(entryLanguage, voiceLanguage) {
+    return entryLanguage.includes('-')
+      ? entryLanguage === voiceLanguage
+      : voiceLanguage.split('-')[0] === entryLanguage;
+  }
+
+  async assertProjectAccess(userId, projectId) {
+    const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    // Skip ownership checks in development for local testing
+    if (process.env.NODE_ENV !== 'development' && project.userId.toString() !== userId) {
+      throw new Error('Access denied');
+    }
+    return project;
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export const lexiconService = new LexiconService();
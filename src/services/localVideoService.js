@@ -0,0 +1,129 @@
+import fs from 'fs';
+import path from 'path';
+import { VideoProvider } from './videoProvider.js';
+import {
+  createCommand,
+  getOutputDimensions,
+  runCommand,
+  wrapText,
+} from './ffmpegService.js';
+
+/**
+ * Offline video provider that renders a color card with the prompt drawn on it
+ * Needs no credentials, so it is useful for local development and tests
+ */
+class LocalVideoService extends VideoProvider {
+  constructor() {
+    super('local', { pollIntervalMs: 0, maxPolls: 1, placeholder: true });
+  }
+
+  /**
+   * Nothing runs remotely; rendering happens in fetchResult
+   */
+  async generate(prompt, options = {}) {
+    return {
+      operationId: null,
+      done: true,
+      result: {
+        prompt,
+        duration: options.duration || 5,
+        resolution: options.resolution,
+        aspectRatio: options.aspectRatio,
+      },
+    };
+  }
+
+  async poll() {
+    return { done: true };
+  }
+
+  /**
+   * Render the color card with FFmpeg, or a basic playable MP4 if FFmpeg is not available
+   */
+  async fetchResult(result, destPath) {
+    try {
+      await this.renderColorCard(destPath, result);
+      console.log(`Created FFmpeg video: ${destPath}`);
+    } catch (error) {
+      console.log('FFmpeg not available, creating basic playable MP4:', error.message);
+      this.createBasicMP4(destPath, result.prompt);
+    }
+    return destPath;
+  }
+
+  /**
+   * Create a simple colored video with the text centred on it
+   * The size comes from width and height when given, otherwise from resolution and aspect ratio
+   */
+  async renderColorCard(destPath, {
+    prompt,
+    duration = 5,
+    resolution = '720p',
+    aspectRatio = '16:9',
+    color = 'blue',
+    ...size
+  }) {
+    const { width, height } = size.width && size.height ? size : getOutputDimensions(resolution, aspectRatio);
+
+    // Pass the text through a file so prompts never need drawtext escaping
+    const textFile = `${destPath}.txt`;
+    fs.writeFileSync(textFile, wrapText(prompt));
+
+    try {
+      const command = createCommand()
+        .input(`color=c=${color}:s=${width}x${height}:d=${duration}`)
+        .inputFormat('lavfi')
+        .videoFilters({
+          filter: 'drawtext',
+          options: {
+            textfile: textFile,
+            fontcolor: 'white',
+            fontsize: Math.round(height / 15),
+            x: '(w-text_w)/2',
+            y: '(h-text_h)/2',
+          },
+        })
+        .outputOptions(['-c:v libx264', `-t ${duration}`, '-pix_fmt yuv420p']);
+
+      await runCommand(command, destPath);
+    } finally {
+      fs.rmSync(textFile, { force: true });
+    }
+  }
+
+  /**
+   * Create a basic but playable MP4 file
+   */
+  createBasicMP4(filePath, prompt) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Create a minimal but valid MP4 file that browsers can play
+    // This is a base64 encoded 1-second black video
+    const minimalMP4 = Buffer.from(
+
+      'AAAAIGZ0eXBpc29tAAACAGlzb21pc28yYXZjMW1wNDEAAAAIZnJlZQAACKBtZGF0AAAC' +
+      'rgYF//+q3EXpvebZSLeWLNgg2SPu73gyNjQgLSBjb3JlIDE0OCByMjc0MyA1Yzc5ZGMy' +
+      'IC0gSC4yNjQvTVBFRy00IEFWQyBjb2RlYyAtIENvcHlsZWZ0IDIwMDMtMjAxNiAtIGh0' +
+      'dHA6Ly93d3cudmlkZW9sYW4ub3JnL3gyNjQuaHRtbCAtIG9wdGlvbnM6IGNhYmFjPTEg' +
+      'cmVmPTMgZGVibG9jaz0xOjA6MCBhbmFseXNlPTB4MzoweDExMyBtZT1oZXggc3VibWU9' +
+      'NyBwc3k9MSBwc3lfcmQ9MS4wMDowLjAwIG1peGVkX3JlZj0xIG1lX3JhbmdlPTE2IGNo' +
+      'cm9tYV9tZT0xIHRyZWxsaXM9MSA4eDhkY3Q9MSBjcW09MCBkZWFkem9uZT0yMSwxMSBm' +
+      'YXN0X3Bza2lwPTEgY2hyb21hX3FwX29mZnNldD0tMiB0aHJlYWRzPTYgbG9va2FoZWFk' +
+      'X3RocmVhZHM9MSBzbGljZWRfdGhyZWFkcz0wIG5yPTAgZGVjaW1hdGU9MSBpbnRlcmxh' +
+      'Y2VkPTAgYmx1cmF5X2NvbXBhdD0wIGNvbnN0cmFpbmVkX2ludHJhPTAgYmZyYW1lcz0z' +
+      'IGJfcHlyYW1pZD0yIGJfYWRhcHQ9MSBiX2JpYXM9MCBkaXJlY3Q9MSB3ZWlnaHRiPTEg' +
+      'b3Blbl9nb3A9MCB3ZWlnaHRwPTIga2V5aW50PTI1MCBrZXlpbnRfbWluPTI1IHNjZW5l' +
+      'Y3V0PTQwIGludHJhX3JlZnJlc2g9MCByY19sb29rYWhlYWQ9NDAgcmM9Y3JmIG1idHJl' +
+      'ZT0xIGNyZj0yMy4wIHFjb21wPTAuNjAgcXBtaW49MCBxcG1heD02OSBxcHN0ZXA9NCBp' +
+      'cF9yYXRpbz0xLjQwIGFxPTE6MS4wMACAAAAAD2WIhAA3//728P4FNjuZQQAAAu5tb292' +
+      'AAAAbG12aGQAAAAAAAAAAAAAAAAAAAPoAAAAZAABAAABAAAAAAAAAAAAAAAAAQAAAAAA' +
+      'AAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAAIddHJhawAAAFx0a2hkAAAAAwAAAAAAAAAAAAAAAQAAAAAAAABkAAAAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAEAAAAACWAAAAZAAAAAAACRlZHRzAAAAHGVsc3QAAAAAAAAAAQAAAGQAAAAAAAEAAAAAAeFtZGlhAAAAIG1kaGQAAAAAAAAAAAAAAAAAADwAAAAEAFXEAAAAAAAtaGRscgAAAAAAAAAAdmlkZQAAAAAAAAAAAAAAAFZpZGVvSGFuZGxlcgAAAAGMbWluZgAAABR2bWhkAAAAAQAAAAAAAAAAAAAAJGRpbmYAAAAcZHJlZgAAAAAAAAABAAAADHVybCAAAAABAAABTHN0YmwAAAC0c3RzZAAAAAAAAAABAAAApGF2YzEAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAADIAGQAEgAAABIAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAY//8AAAAyYXZjQwFkAAr/4QAYZ2QACqzZQDgQAAAAAwAEAAADAPA8WLZYAQAGaOvjyyLAAAAAGHN0dHMAAAAAAAAAAQAAAAEAAAQAAAAAFHN0c3MAAAAAAAAAAQAAAAEAAAAYY3R0cwAAAAAAAAABAAAAAgAABAAAAAAcc3RzYwAAAAAAAAABAAAAAQAAAAEAAAABAAAAFHN0c3oAAAAAAAACOQAAAAEAAAAUc3RjbwAAAAAAAAABAAAAMAAAAGJ1ZHRhAAAAWm1ldGEAAAAAAAAAIWhkbHIAAAAAAAAAAG1kaXJhcHBsAAAAAAAAAAAAAAAALWlsc3QAAAAlqXRvbwAAAB1kYXRhAAAAAQAAAABMYXZmNTYuNDAuMTAx',
+      'base64'
+    );
+
+    fs.writeFileSync(filePath, minimalMP4);
+    console.log(`Created basic MP4 file: ${filePath} for prompt: "${prompt}"`);
+  }
+}
+
+export const localVideoService = new LocalVideoService();
@@ -0,0 +1,121 @@
+import { createCommand, runCommandForLog, AUDIO_SAMPLE_RATE } from './ffmpegService.js';
+
+// EBU R128 targets per export preset: integrated loudness (LUFS), true-peak ceiling (dBTP) and loudness range (LU)
+const LOUDNESS_PRESETS = {
+  web: { targetLufs: -14, truePeak: -1, range: 11 }, // YouTube, Vimeo, social
+  podcast: { targetLufs: -16, truePeak: -1.5, range: 11 },
+  broadcast: { targetLufs: -23, truePeak: -1, range: 7 }, // EBU R128 broadcast delivery
+};
+
+// Below this the mix is effectively silent and there is nothing to normalize
+const MIN_MEASURABLE_LUFS = -70;
+
+/**
+ * Two-pass EBU R128 loudness normalization with ffmpeg's loudnorm filter
+ *
+ * The first pass measures the mix; the second applies a linear gain so the whole programme lands on
+ * the preset's integrated loudness, followed by a limiter that holds peaks under the true-peak ceiling.
+ * Linear mode keeps the mix's dynamics intact (dynamic mode would pump narration against the music).
+ */
+class LoudnessService {
+  /**
+   * Settings for a preset name; null when normalization is off
+   */
+  getPreset(name = 'web') {
+    if (name === 'off') {
+      return null;
+    }
+    const preset = Object.hasOwn(LOUDNESS_PRESETS, name) ? LOUDNESS_PRESETS[name] : null;
+    if (!preset) {
+      throw new Error(`Unknown loudness preset: ${name} (expected ${Object.keys(LOUDNESS_PRESETS).join(', ')} or off)`);
+    }
+    return { name, ...preset };
+  }
+
+  /**
+   * Measure a file's first audio stream (first pass)
+   * @returns {Promise<{integrated: number, truePeak: number, range: number, threshold: number, targetOffset: number}>}
+   */
+  async measure(inputPath, preset) {
+    const command = createCommand(inputPath)
+      .outputOptions(['-map 0:a:0'])
+      .audioFilters(`${this.getLoudnormFilter(preset)}:print_format=json`)
+      .format('null');
+
+    const stats = this.parseStats(await runCommandForLog(command, '-'));
+    return {
+      integrated: stats.input_i,
+      truePeak: stats.input_tp,
+      range: stats.input_lra,
+      threshold: stats.input_thresh,
+      targetOffset: stats.target_offset,
+    };
+  }
+
+  /**
+   * Whether a measurement can drive the second pass (silent or unmeasurable mixes are left alone)
+   */
+  canNormalize(measured) {
+    return Number.isFinite(measured.integrated) && measured.integrated > MIN_MEASURABLE_LUFS;
+  }
+
+  /**
+   * Second-pass filter chain: loudnorm with the measured values, then a true-peak limiter
+   */
+  getNormalizeFilter(preset, measured) {
+    const ceiling = Math.pow(10, preset.truePeak / 20).toFixed(4);
+    return [
+      `${this.getLoudnormFilter(preset)}:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}` +
+        `:measured_LRA=${measured.range}:measured_thresh=${measured.threshold}` +
+        `:offset=${measured.targetOffset}:linear=true`,
+      `alimiter=limit=${ceiling}:attack=5:release=50:level=false`,
+      // loudnorm resamples to 192 kHz internally
+      `aformat=sample_rates=${AUDIO_SAMPLE_RATE}:channel_layouts=stereo`,
+    ].join(',');
+  }
+
+  getLoudnormFilter(preset) {
+    return `loudnorm=I=${preset.targetLufs}:TP=${preset.truePeak}:LRA=${preset.range}`;
+  }
+
+  /**
+   * The JSON block loudnorm prints at the end of the log, with its values as numbers ("-inf" becomes -Infinity)
+   */
+  parseStats(log) {
+    const blocks = log.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!blocks) {
+      throw new Error('Loudness measurement missing from FFmpeg output');
+    }
+
+    const stats = JSON.parse(blocks[blocks.length - 1]);
+    return Object.fromEntries(
+      Object.entries(stats).map(([key, value]) => {
+        const number = value === '-inf' ? -Infinity : value === 'inf' ? Infinity : parseFloat(value);
+        return [key, Number.isNaN(number) ? value : number];
+      })
+    );
+  }
+
+  /**
+   * What is stored in the project metadata; infinite values (silence) are stored as null
+   */
+  getReport(preset, input, output, normalized) {
+    const levels = ({ integrated, truePeak, range }) => ({
+      integrated: Number.isFinite(integrated) ? integrated : null,
+      truePeak: Number.isFinite(truePeak) ? truePeak : null,
+      range: Number.isFinite(range) ? range : null,
+    });
+
+    return {
+      preset: preset.name,
+      targetLufs: preset.targetLufs,
+      truePeakLimit: preset.truePeak,
+      normalized,
+      input: levels(input),
+      output: levels(output),
+      measuredAt: new Date(),
+    };
+  }
+}
+
+export const loudnessService = new LoudnessService();
@@ -1,9 +1,37 @@
 import { Project } from '../models/Project.js';
 import { Scene } from '../models/Scene.js';
+import { googleTTSService } from './googleTTSService.js';
+import { ssmlService } from './ssmlService.js';
+import { videoGenerationService } from './videoGenerationService.js';
+import { sceneSourceService } from './sceneSourceService.js';
+import { loudnessService } from './loudnessService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Scene fields clients may change; media, status and timing fields are only written by the server
+const EDITABLE_SCENE_FIELDS = [
+  'title',
+  'description',
+  'script',
+  'narration',
+  'narrationFormat',
+  'duration',
+  'sourceType',
+  'stillDuration',
+  'kenBurns',
+  'colorCard',
+  'fitMode',
+  'voiceSettings',
+  'stylePreset',
+  'transitionType',
+  'thumbnail',
+];
+
+// Project fields clients may change; status, sharing, scenes, final video and compile state are server-owned
+const EDITABLE_PROJECT_FIELDS = ['title', 'description', 'thumbnail', 'videoSettings', 'template', 'tags'];
+
 export const createProject = async (userId, projectData) => {
   try {
+    validateVideoSettings(projectData);
     const project = new Project({
       userId,
       title: projectData.title || 'Untitled Project',
@@ -32,6 +60,7 @@ export const getProjectById = async (projectId) => {
     if (!project) {
       throw new Error('Project not found');
     }
+    await refreshVoiceOverUrls(project);
     return project;
   } catch (error) {
     throw new Error(error.message);
@@ -47,8 +76,11 @@ export const getUserProjects = async (userId) => {
   }
 };
 
-export const updateProject = async (projectId, updateData) => {
+export const updateProject = async (projectId, projectData) => {
   try {
+    const updateData = pickEditableProjectFields(projectData);
+    validateVideoSettings(updateData);
+
     const project = await Project.findByIdAndUpdate(projectId, updateData, {
       new: true,
     }).populate('scenes');
@@ -79,6 +111,10 @@ export const addSceneToProject = async (projectId, sceneData) => {
       throw new Error('Project not found');
     }
 
+    await validateVoiceSettings(sceneData);
+    validateNarration(sceneData);
+    sceneSourceService.validateSettings(sceneData);
+
     const sceneCount = await Scene.countDocuments({ projectId });
 
     const scene = new Scene({
@@ -89,10 +125,18 @@ export const addSceneToProject = async (projectId, sceneData) => {
       order: sceneCount,
       duration: sceneData.duration || 5000,
       stylePreset: sceneData.stylePreset || 'professional',
+      fitMode: sceneData.fitMode || 'freeze',
+      sourceType: sceneData.sourceType || 'generated',
+      // Color cards need no clip; every other source waits for a generation or upload
+      ...(sceneData.sourceType === 'color-card' && { videoStatus: 'completed' }),
+      ...(sceneData.stillDuration !== undefined && { stillDuration: sceneData.stillDuration }),
+      ...(sceneData.kenBurns && { kenBurns: sceneData.kenBurns }),
+      ...(sceneData.colorCard && { colorCard: sceneData.colorCard }),
       voiceSettings: sceneData.voiceSettings || {
         enabled: false,
         voice: 'en-US-Neural2-A',
         speed: 1.0,
+        pitch: 0,
       },
       metadata: sceneData.metadata || {
         aspectRatio: '16:9',
@@ -110,9 +154,29 @@ export const addSceneToProject = async (projectId, sceneData) => {
   }
 };
 
-export const updateScene = async (sceneId, updateData) => {
+export const updateScene = async (sceneId, sceneData) => {
   try {
-    const scene = await Scene.findByIdAndUpdate(sceneId, updateData, {
+    const updateData = pickEditableSceneFields(sceneData);
+    await validateVoiceSettings(updateData);
+    if (updateData.narration === undefined && updateData.narrationFormat !== undefined) {
+      const current = await Scene.findById(sceneId);
+      validateNarration({ narration: current?.narration, narrationFormat: updateData.narrationFormat });
+    } else {
+      validateNarration(updateData);
+    }
+    sceneSourceService.validateSettings(updateData);
+
+    // Switching the source type resets the scene's clip (uploads set their own source type)
+    let sourceUpdate = {};
+    if (updateData.sourceType !== undefined) {
+      const current = await Scene.findById(sceneId);
+      if (!current) {
+        throw new Error('Scene not found');
+      }
+      sourceUpdate = sceneSourceService.getSourceTypeUpdate(current, updateData.sourceType);
+    }
+
+    const scene = await Scene.findByIdAndUpdate(sceneId, { ...updateData, ...sourceUpdate }, {
       new: true,
     });
 
@@ -178,6 +242,7 @@ export const getProjectByShareToken = async (shareToken) => {
     if (!project) {
       throw new Error('Project not found');
     }
+    await refreshVoiceOverUrls(project);
     return project;
   } catch (error) {
     throw new Error(error.message);
@@ -228,3 +293,67 @@ export const removeShareAccess = async (projectId, email) => {
     throw new Error(error.message);
   }
 };
+
+/**
+ * Keep only editable scene fields, whole (voiceSettings) or as dotted paths (voiceSettings.voice)
+ */
+const pickEditableSceneFields = (sceneData = {}) =>
+  Object.fromEntries(
+    Object.entries(sceneData).filter(([key]) => EDITABLE_SCENE_FIELDS.includes(key.split('.')[0]))
+  );
+
+const pickEditableProjectFields = (projectData = {}) =>
+  Object.fromEntries(
+    Object.entries(projectData).filter(([key]) => EDITABLE_PROJECT_FIELDS.includes(key.split('.')[0]))
+  );
+
+/**
+ * Reject unknown loudness presets, so a saved project can always compile
+ */
+const validateVideoSettings = (projectData) => {
+  const preset =
+    projectData.videoSettings?.loudness?.preset ??
+    projectData['videoSettings.loudness']?.preset ??
+    projectData['videoSettings.loudness.preset'];
+  if (preset !== undefined) {
+    loudnessService.getPreset(preset);
+  }
+};
+
+/**
+ * Reject voices that aren't in the TTS catalogue, and speed or pitch outside the ranges the API accepts
+ */
+const validateVoiceSettings = async (sceneData) => {
+  const setting = (name) => sceneData.voiceSettings?.[name] ?? sceneData[`voiceSettings.${name}`];
+  const voice = setting('voice');
+  if (voice !== undefined) {
+    await googleTTSService.validateVoice(voice);
+  }
+  const speed = setting('speed');
+  const pitch = setting('pitch');
+  if (speed !== undefined || pitch !== undefined) {
+    googleTTSService.validateProsody({ speed, pitch });
+  }
+};
+
+/**
+ * Reject narration that isn't valid SSML (or markup that doesn't compile)
+ */
+const validateNarration = ({ narration, narrationFormat }) => {
+  if (narration?.trim()) {
+    ssmlService.toSsml(narration, narrationFormat || 'ssml');
+  }
+};
+
+/**
+ * Re-sign voice-over URLs that are about to expire so clients can play them
+ */
+const refreshVoiceOverUrls = async (project) => {
+  await Promise.all(
+    project.scenes.map((scene) =>
+      videoGenerationService.getFreshVoiceOverUrl(scene).catch((error) => {
+        console.error(`Failed to refresh voice-over URL for scene ${scene._id}:`, error.message);
+      })
+    )
+  );
+};
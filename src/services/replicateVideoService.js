@@ -0,0 +1,101 @@
+import Replicate from 'replicate';
+import axios from 'axios';
+import fs from 'fs';
+import { config } from '../config.js';
+import { VideoProvider } from './videoProvider.js';
+import { GenerationError } from './retryPolicy.js';
+
+/**
+ * Replicate-hosted video model provider
+ * REPLICATE_VIDEO_MODEL accepts "owner/model" or "owner/model:version"
+ */
+class ReplicateVideoService extends VideoProvider {
+  constructor() {
+    // 15 minutes max; the model input has no resolution
+    super('replicate', { pollIntervalMs: 5000, maxPolls: 180, renderOptions: ['duration', 'aspectRatio', 'seed'] });
+
+    this.model = config.replicateVideoModel;
+    if (config.replicateApiToken) {
+      this.client = new Replicate({ auth: config.replicateApiToken });
+    }
+  }
+
+  assertConfigured() {
+    if (!this.client) {
+      throw new Error('Replicate not configured. Check REPLICATE_API_TOKEN in .env');
+    }
+  }
+
+  getModelId() {
+    return this.model;
+  }
+
+  async generate(prompt, options = {}) {
+    this.assertConfigured();
+
+    const [model, version] = this.model.split(':');
+    const prediction = await this.client.predictions.create({
+      ...(version ? { version } : { model }),
+      input: {
+        prompt,
+        ...(options.duration && { duration: options.duration }),
+        ...(options.aspectRatio && { aspect_ratio: options.aspectRatio }),
+        ...(Number.isInteger(options.seed) && { seed: options.seed }),
+      },
+    });
+
+    console.log(`Replicate prediction started (${this.model}):`, prediction.id);
+    return { operationId: prediction.id, ...this.toPollResult(prediction) };
+  }
+
+  async poll(predictionId) {
+    this.assertConfigured();
+    const prediction = await this.client.predictions.get(predictionId);
+    return this.toPollResult(prediction);
+  }
+
+  async cancel(predictionId) {
+    this.assertConfigured();
+    await this.client.predictions.cancel(predictionId);
+    return true;
+  }
+
+  /**
+   * Download the prediction output video
+   */
+  async fetchResult(result, destPath) {
+    const url = Array.isArray(result?.output) ? result.output[0] : result?.output;
+    if (!url) {
+      throw new Error('No video content in Replicate output: ' + JSON.stringify(result));
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url,
+      responseType: 'stream',
+    });
+
+    const writer = fs.createWriteStream(destPath);
+    response.data.pipe(writer);
+
+    await new Promise((resolve, reject) => {
+      writer.on('finish', resolve);
+      writer.on('error', reject);
+    });
+
+    console.log(`Video saved to ${destPath}`);
+    return destPath;
+  }
+
+  toPollResult(prediction) {
+    if (prediction.status === 'failed' || prediction.status === 'canceled') {
+      throw new GenerationError(`Replicate prediction ${prediction.status}: ${prediction.error || 'no details'}`);
+    }
+    if (prediction.status === 'succeeded') {
+      return { done: true, result: { output: prediction.output } };
+    }
+    return { done: false };
+  }
+}
+
+export const replicateVideoService = new ReplicateVideoService();
@@ -0,0 +1,80 @@
+import { config } from '../config.js';
+
+// HTTP statuses worth retrying: rate limits, request timeouts and server errors
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network-level failures from Node/axios
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+];
+
+// google.rpc.Code values in long-running operation errors:
+// DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_RPC_CODES = [4, 8, 10, 13, 14];
+
+/**
+ * Error raised by video providers with an explicit retry classification
+ * - transient: retrying may succeed (quota, outage, timeout)
+ * - operationFailed: the provider operation itself is dead, so a retry must start a new one
+ */
+export class GenerationError extends Error {
+  constructor(message, { transient = false, operationFailed = true, statusCode = null } = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.transient = transient;
+    this.operationFailed = operationFailed;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Build a GenerationError from a google.rpc.Status returned by a long-running operation
+ */
+export function fromOperationError(status, prefix = 'Operation failed') {
+  return new GenerationError(`${prefix}: ${status.message || JSON.stringify(status)}`, {
+    transient: TRANSIENT_RPC_CODES.includes(status.code),
+    statusCode: status.code ?? null,
+  });
+}
+
+/**
+ * Classify an error as transient (retry) or permanent (give up)
+ * @returns {{transient: boolean, statusCode: number|null, errorType: string}}
+ */
+export function classifyError(error) {
+  if (error instanceof GenerationError) {
+    return {
+      transient: error.transient,
+      statusCode: error.statusCode,
+      errorType: error.transient ? 'transient' : 'permanent',
+    };
+  }
+
+  const statusCode = error?.response?.status ?? null;
+  const transient =
+    (statusCode !== null && TRANSIENT_HTTP_STATUSES.includes(statusCode)) ||
+    (statusCode === null && TRANSIENT_ERROR_CODES.includes(error?.code)) ||
+    (statusCode === null && /time(d)?\s?out/i.test(error?.message || ''));
+
+  return {
+    transient,
+    statusCode,
+    errorType: transient ? 'transient' : 'permanent',
+  };
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with equal jitter
+ * @param {number} retryNumber - 1 for the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(retryNumber) {
+  const exponential = config.retryBaseDelayMs * 2 ** Math.max(0, retryNumber - 1);
+  const capped = Math.min(exponential, config.retryMaxDelayMs);
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { Scene } from '../models/Scene.js';
+import gcsService from './gcsService.js';
+import { localVideoService } from './localVideoService.js';
+import { createCommand, runCommand, getMediaInfo, FRAME_RATE } from './ffmpegService.js';
+
+const SOURCE_TYPES = ['generated', 'uploaded-video', 'image', 'color-card'];
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+// Longest stock clip accepted for a single scene
+const MAX_FOOTAGE_SECONDS = 10 * 60;
+
+const KEN_BURNS_ZOOM_KEYS = ['startZoom', 'endZoom'];
+const KEN_BURNS_FOCUS_KEYS = ['startX', 'startY', 'endX', 'endY'];
+const MAX_KEN_BURNS_ZOOM = 3;
+
+// Still duration bounds (ms)
+const MIN_STILL_DURATION = 1000;
+const MAX_STILL_DURATION = 60000;
+
+// A color name or #RRGGBB; anything else could break out of the lavfi source
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/;
+
+/**
+ * Scene sources other than AI generation
+ *
+ * Uploaded footage is transcoded to H.264 and stored as the scene's video, so it is compiled like a
+ * generated clip. Image and color-card scenes have no stored clip: compilationService renders them here
+ * at the scene's exact length (its narration, or stillDuration without one), stills with a Ken Burns
+ * pan and zoom. Either way the scene then goes through the usual assembly, caption and compile steps.
+ */
+class SceneSourceService {
+  /**
+   * Whether the scene's clip is rendered at compile time rather than stored
+   */
+  isRenderedSource(scene) {
+    return scene.sourceType === 'image' || scene.sourceType === 'color-card';
+  }
+
+  /**
+   * Reject invalid source settings (nested objects or dotted paths), since scene updates skip schema validators
+   */
+  validateSettings(sceneData) {
+    const get = (group, key) => sceneData[group]?.[key] ?? sceneData[`${group}.${key}`];
+
+    if (sceneData.sourceType !== undefined && !SOURCE_TYPES.includes(sceneData.sourceType)) {
+      throw new Error(`Invalid sourceType: ${sceneData.sourceType} (expected ${SOURCE_TYPES.join(', ')})`);
+    }
+    for (const key of KEN_BURNS_ZOOM_KEYS) {
+      const value = get('kenBurns', key);
+      if (value !== undefined && !(typeof value === 'number' && value >= 1 && value <= MAX_KEN_BURNS_ZOOM)) {
+        throw new Error(`kenBurns.${key} must be a number between 1 and ${MAX_KEN_BURNS_ZOOM}`);
+      }
+    }
+    for (const key of KEN_BURNS_FOCUS_KEYS) {
+      const value = get('kenBurns', key);
+      if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+        throw new Error(`kenBurns.${key} must be a number between 0 and 1`);
+      }
+    }
+    const color = get('colorCard', 'color');
+    if (color !== undefined && !(typeof color === 'string' && COLOR_PATTERN.test(color))) {
+      throw new Error('colorCard.color must be a color name or #RRGGBB');
+    }
+    const { stillDuration } = sceneData;
+    if (
+      stillDuration !== undefined &&
+      !(typeof stillDuration === 'number' && stillDuration >= MIN_STILL_DURATION && stillDuration <= MAX_STILL_DURATION)
+    ) {
+      throw new Error(`stillDuration must be between ${MIN_STILL_DURATION} and ${MAX_STILL_DURATION} ms`);
+    }
+  }
+
+  /**
+   * Scene changes for switching to another source type
+   * The previous clip no longer applies: color cards are ready straight away, image scenes once they have
+   * an image, and generated or uploaded-video scenes wait for a new generation or upload.
+   */
+  getSourceTypeUpdate(scene, sourceType) {
+    if (!sourceType || sourceType === scene.sourceType) {
+      return {};
+    }
+
+    const hasImage = !!(scene.sourceImageGcsFileName || scene.sourceImageUrl);
+    const ready = sourceType === 'color-card' || (sourceType === 'image' && hasImage);
+    return {
+      sourceType,
+      videoStatus: ready ? 'completed' : 'pending',
+      videoUrl: null,
+      videoGcsFileName: null,
+      assembledVideoUrl: null,
+      assembledGcsFileName: null,
+    };
+  }
+
+  /**
+   * Use uploaded footage or a still as the scene's source
+   * Footage is transcoded to H.264/AAC MP4 and stored as the scene's video; stills are stored as they are.
+   * @param {object} file - multer file ({ path, originalname, mimetype }); the temp file is removed afterwards
+   * @returns {Promise<object>} - The updated scene
+   */
+  async storeUpload(sceneId, file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const transcodedPath = `${file.path}.mp4`;
+    try {
+      const scene = mongoose.isValidObjectId(sceneId) ? await Scene.findById(sceneId) : null;
+      if (!scene) {
+        throw new Error('Scene not found');
+      }
+
+      const info = await getMediaInfo(file.path).catch(() => null);
+      if (!info?.hasVideo) {
+        throw new Error('File is not a readable video or image');
+      }
+
+      const baseName = `${sceneId}-${Date.now()}`;
+      let update;
+      if (IMAGE_CONTENT_TYPES[extension]) {
+        const stored = await gcsService.storeFile(
+          file.path,
+          `/uploads/sources/${scene.projectId}/${baseName}${extension}`,
+          `sources/${scene.projectId}/${baseName}${extension}`,
+          IMAGE_CONTENT_TYPES[extension]
+        );
+        update = {
+          sourceType: 'image',
+          sourceImageUrl: stored.url,
+          sourceImageGcsFileName: stored.gcsFileName,
+          videoUrl: null,
+          videoGcsFileName: null,
+        };
+      } else {
+        if (!(info.duration > 0)) {
+          throw new Error('Video has no readable duration');
+        }
+        if (info.duration > MAX_FOOTAGE_SECONDS) {
+          throw new Error(`Footage must be at most ${MAX_FOOTAGE_SECONDS / 60} minutes long`);
+        }
+
+        await runCommand(
+          createCommand(file.path).outputOptions([
+            '-map 0:v:0',
+            '-map 0:a:0?',
+            // x264 needs even dimensions
+            '-vf scale=trunc(iw/2)*2:trunc(ih/2)*2,format=yuv420p',
+            '-c:v libx264',
+            '-preset veryfast',
+            '-crf 20',
+            '-c:a aac',
+            '-b:a 192k',
+            '-movflags +faststart',
+          ]),
+          transcodedPath
+        );
+        const stored = await gcsService.storeFile(
+          transcodedPath,
+          `/uploads/sources/${scene.projectId}/${baseName}.mp4`,
+          `sources/${scene.projectId}/${baseName}.mp4`,
+          'video/mp4'
+        );
+        update = { sourceType: 'uploaded-video', videoUrl: stored.url, videoGcsFileName: stored.gcsFileName };
+      }
+
+      return await Scene.findByIdAndUpdate(
+        sceneId,
+        {
+          ...update,
+          videoStatus: 'completed',
+          assembledVideoUrl: null,
+          assembledGcsFileName: null,
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to upload scene source: ${error.message}`);
+    } finally {
+      fs.rmSync(file.path, { force: true });
+      fs.rmSync(transcodedPath, { force: true });
+    }
+  }
+
+  /**
+   * Render an image or color-card scene to a clip of the given length and size (no audio)
+   * @param {string} imagePath - The scene's image, already downloaded (image scenes only)
+   */
+  async renderSource(scene, destPath, { imagePath = null, width, height, duration }) {
+    if (scene.sourceType === 'color-card') {
+      await localVideoService.renderColorCard(destPath, {
+        prompt: scene.colorCard?.text || scene.title,
+        color: scene.colorCard?.color || 'black',
+        duration,
+        width,
+        height,
+      });
+      return destPath;
+    }
+
+    if (!imagePath) {
+      throw new Error(`Scene "${scene.title}" has no image`);
+    }
+    const frames = Math.max(1, Math.ceil(duration * FRAME_RATE));
+    const command = createCommand(imagePath)
+      .videoFilters(this.getKenBurnsFilter(scene.kenBurns || {}, { width, height, frames }))
+      .outputOptions([
+        `-frames:v ${frames}`,
+        '-c:v libx264',
+        '-preset veryfast',
+        '-crf 18',
+        '-pix_fmt yuv420p',
+        `-r ${FRAME_RATE}`,
+      ]);
+    await runCommand(command, destPath);
+    return destPath;
+  }
+
+  /**
+   * Ken Burns filter chain: crop the still to the output's aspect ratio, then zoom and pan across it
+   * The still is worked on at twice the output size so slow pans move in half-pixel steps instead of
+   * visibly juddering; the view is clamped so it never leaves the image.
+   */
+  getKenBurnsFilter(kenBurns, { width, height, frames }) {
+    const {
+      startZoom = 1.0,
+      endZoom = 1.15,
+      startX = 0.5,
+      startY = 0.5,
+      endX = 0.5,
+      endY = 0.5,
+    } = kenBurns;
+    const progress = `on/${Math.max(1, frames - 1)}`;
+    const lerp = (from, to) => `(${from}+(${Number((to - from).toFixed(4))})*${progress})`;
+    const x = `max(0,min(iw-iw/zoom,${lerp(startX, endX)}*iw-iw/zoom/2))`;
+    const y = `max(0,min(ih-ih/zoom,${lerp(startY, endY)}*ih-ih/zoom/2))`;
+
+    return [
+      `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase`,
+      `crop=${width * 2}:${height * 2}`,
+      'setsar=1',
+      `zoompan=z='${lerp(startZoom, endZoom)}':x='${x}':y='${y}':d=${frames}:s=${width}x${height}:fps=${FRAME_RATE}`,
+      'format=yuv420p',
+    ].join(',');
+  }
+}
+
+export const sceneSourceService = new SceneSourceService();
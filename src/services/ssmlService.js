@@ -0,0 +1,485 @@
+// SSML elements Google Text-to-Speech accepts, with their allowed attributes
+// <mark> is left out: word and end marks are added at synthesis (see addWordMarks) and user marks would collide
+const ELEMENTS = {
+  speak: { attributes: ['xml:lang', 'version', 'xmlns'] },
+  p: { attributes: [] },
+  s: { attributes: [] },
+  break: { attributes: ['time', 'strength'], empty: true },
+  'say-as': { attributes: ['interpret-as', 'format', 'detail', 'language'], required: ['interpret-as'] },
+  sub: { attributes: ['alias'], required: ['alias'] },
+  emphasis: { attributes: ['level'] },
+  prosody: { attributes: ['rate', 'pitch', 'volume'] },
+  phoneme: { attributes: ['alphabet', 'ph'], required: ['ph'] },
+  lang: { attributes: ['xml:lang'], required: ['xml:lang'] },
+  voice: { attributes: ['name', 'gender', 'language'] },
+};
+
+const SAY_AS_TYPES = [
+  'cardinal',
+  'ordinal',
+  'characters',
+  'fraction',
+  'expletive',
+  'bleep',
+  'unit',
+  'verbatim',
+  'spell-out',
+  'date',
+  'time',
+  'telephone',
+  'currency',
+];
+
+// Allowed values per element.attribute: a list, or a pattern with a description for error messages
+const ATTRIBUTE_VALUES = {
+  'break.time': { pattern: /^\d+(\.\d+)?(ms|s)$/, expected: 'a duration such as 500ms or 2s' },
+  'break.strength': ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'],
+  'say-as.interpret-as': SAY_AS_TYPES,
+  'emphasis.level': ['strong', 'moderate', 'none', 'reduced'],
+  'prosody.rate': {
+    pattern: /^(x-slow|slow|medium|fast|x-fast|default|\d+(\.\d+)?%)$/,
+    expected: 'x-slow, slow, medium, fast, x-fast or a percentage such as 80%',
+  },
+  'prosody.pitch': {
+    pattern: /^(x-low|low|medium|high|x-high|default|[+-]\d+(\.\d+)?(st|%))$/,
+    expected: 'x-low, low, medium, high, x-high or a change such as +2st or -10%',
+  },
+  'prosody.volume': {
+    pattern: /^(silent|x-soft|soft|medium|loud|x-loud|default|[+-]\d+(\.\d+)?dB)$/,
+    expected: 'silent, x-soft, soft, medium, loud, x-loud or a change such as +6dB',
+  },
+  'phoneme.alphabet': ['ipa', 'x-sampa'],
+  'voice.gender': ['male', 'female', 'neutral'],
+};
+
+// Spoken as a unit, so word marks go before these elements rather than inside them
+const ATOMIC_ELEMENTS = ['say-as', 'sub', 'phoneme'];
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<[^>]*>?/g;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const BARE_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+// Lightweight markup: [pause 500ms], [pitch +2st]..[/pitch], [rate slow]..[/rate], [volume loud]..[/volume],
+// *moderate* and **strong** emphasis, {text|say-as type[:format]} and {text|sub:spoken alias}
+const MARKUP_PATTERN = /\[(\/?)([a-z-]*)(?:\s+([^\]]*?))?\s*\]|\*\*|\*|\{([^{}|]+)\|([^{}]*)\}/g;
+const PROSODY_TAGS = ['pitch', 'rate', 'volume'];
+
+// Mark placed before </speak>, so its timepoint is when speech ends
+export const END_MARK = 'end';
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+/**
+ * Invalid narration; message, line and column point at the faulty tag
+ */
+export class SsmlValidationError extends Error {
+  constructor(message, { line = null, column = null, tag = null } = {}) {
+    super(line ? `${message} (line ${line}, column ${column})` : message);
+    this.name = 'SsmlValidationError';
+    this.line = line;
+    this.column = column;
+    this.tag = tag;
+  }
+}
+
+/**
+ * Scene narration as SSML
+ *
+ * Narration can be plain text, SSML, or a lightweight markup that compiles to SSML (see MARKUP_PATTERN).
+ * Everything is validated against the subset of SSML that Google Text-to-Speech supports before it is
+ * sent, so mistakes surface as errors pointing at the faulty tag instead of a rejected TTS request.
+ */
+class SsmlService {
+  /**
+   * Validated SSML for narration in the given format ('text', 'ssml' or 'markup')
+   */
+  toSsml(narration, format = 'ssml') {
+    if (format === 'text') {
+      return this.fromText(narration);
+    }
+    if (format === 'markup') {
+      return this.compileMarkup(narration);
+    }
+    if (format === 'ssml') {
+      return this.validate(narration);
+    }
+    throw new SsmlValidationError(`Unknown narration format: ${format}`);
+  }
+
+  /**
+   * SSML for what a scene should say: its narration if set, otherwise its script
+   */
+  getSceneSsml(scene) {
+    return scene.narration?.trim()
+      ? this.toSsml(scene.narration, scene.narrationFormat)
+      : this.fromText(scene.script);
+  }
+
+  /**
+   * The words a scene speaks, without markup (for captions)
+   */
+  getSceneText(scene) {
+    return this.toPlainText(this.getSceneSsml(scene));
+  }
+
+  fromText(text) {
+    return `<speak>${this.escapeXml(text || '')}</speak>`;
+  }
+
+  /**
+   * Check SSML against the supported tags and attributes
+   * A missing <speak> root is added.
+   * @returns {string} - The SSML, wrapped in <speak>
+   * @throws {SsmlValidationError}
+   */
+  validate(ssml) {
+    const source = ssml || '';
+    const tokens = this.tokenize(source);
+    const position = (offset) => this.getPosition(source, offset);
+
+    const first = tokens.find((token) => token.type !== 'text' || token.value.trim());
+    const hasRoot = first?.type === 'open' && first.name === 'speak';
+    const stack = hasRoot ? [] : [{ name: 'speak', offset: 0 }];
+    let closedRoot = false;
+
+    for (const token of tokens) {
+      const parent = stack[stack.length - 1];
+
+      if (token.type === 'text') {
+        if (!token.value.trim()) continue;
+        if (closedRoot || !parent) {
+          throw new SsmlValidationError('Text outside <speak>', position(token.offset));
+        }
+        if (ELEMENTS[parent.name].empty) {
+          throw new SsmlValidationError(`<${parent.name}> must be empty`, { ...position(token.offset), tag: parent.name });
+        }
+        const ampersand = BARE_AMPERSAND.exec(token.value);
+        if (ampersand) {
+          throw new SsmlValidationError('Unescaped "&" (write &amp;)', position(token.offset + ampersand.index));
+        }
+        continue;
+      }
+
+      const element = ELEMENTS[token.name];
+      const at = { ...position(token.offset), tag: token.name };
+
+      if (token.type === 'close') {
+        if (token.name === 'speak' && !hasRoot) {
+          throw new SsmlValidationError('Unexpected </speak> (the opening <speak> is missing)', at);
+        }
+        if (!parent || parent.name !== token.name) {
+          throw new SsmlValidationError(
+            parent ? `</${token.name}> does not match the open <${parent.name}>` : `Unexpected </${token.name}>`,
+            { ...at, tag: parent?.name || token.name }
+          );
+        }
+        stack.pop();
+        if (stack.length === 0) closedRoot = true;
+        continue;
+      }
+
+      if (!element) {
+        throw new SsmlValidationError(
+          token.name === 'mark'
+            ? 'Unsupported SSML tag <mark> (word marks are added automatically)'
+            : `Unsupported SSML tag <${token.name}>`,
+          at
+        );
+      }
+      if (token.name === 'speak' ? stack.length > 0 || closedRoot : !parent) {
+        throw new SsmlValidationError(
+          token.name === 'speak' ? '<speak> must be the only root element' : `<${token.name}> outside <speak>`,
+          at
+        );
+      }
+      if (parent && ELEMENTS[parent.name].empty) {
+        throw new SsmlValidationError(`<${parent.name}> must be empty`, { ...at, tag: parent.name });
+      }
+
+      const problem = this.checkAttributes(token.name, token.attributes);
+      if (problem) {
+        throw new SsmlValidationError(problem, at);
+      }
+
+      if (token.type === 'open') {
+        stack.push({ name: token.name, offset: token.offset });
+      }
+    }
+
+    const unclosed = stack.slice(hasRoot ? 0 : 1).pop();
+    if (unclosed) {
+      throw new SsmlValidationError(`Unclosed <${unclosed.name}>`, { ...position(unclosed.offset), tag: unclosed.name });
+    }
+
+    return hasRoot ? source.trim() : `<speak>${source.trim()}</speak>`;
+  }
+
+  /**
+   * Problem with an element's attributes, or null if they are fine
+   */
+  checkAttributes(name, attributes) {
+    const element = ELEMENTS[name];
+
+    for (const [attribute, value] of Object.entries(attributes)) {
+      if (!element.attributes.includes(attribute)) {
+        return `Unsupported attribute "${attribute}" on <${name}>`;
+      }
+      const allowed = ATTRIBUTE_VALUES[`${name}.${attribute}`];
+      if (Array.isArray(allowed) && !allowed.includes(value)) {
+        return `Invalid ${attribute} "${value}" on <${name}> (expected one of ${allowed.join(', ')})`;
+      }
+      if (allowed?.pattern && !allowed.pattern.test(value)) {
+        return `Invalid ${attribute} "${value}" on <${name}> (expected ${allowed.expected})`;
+      }
+    }
+
+    const missing = (element.required || []).find((attribute) => attributes[attribute] === undefined);
+    return missing ? `<${name}> is missing its ${missing} attribute` : null;
+  }
+
+  /**
+   * Compile lightweight markup to SSML
+   * @throws {SsmlValidationError} - Pointing at the faulty markup tag
+   */
+  compileMarkup(markup) {
+    const source = markup || '';
+    const stack = [];
+    let output = '';
+    let lastIndex = 0;
+
+    const fail = (message, offset, tag) =>
+      new SsmlValidationError(message, { ...this.getPosition(source, offset), tag });
+
+    for (const match of source.matchAll(MARKUP_PATTERN)) {
+      const [raw, closing, tag, argument, subject, spec] = match;
+      output += this.escapeXml(source.slice(lastIndex, match.index));
+      lastIndex = match.index + raw.length;
+
+      if (raw === '*' || raw === '**') {
+        const top = stack[stack.length - 1];
+        if (top?.tag === raw) {
+          stack.pop();
+          output += '</emphasis>';
+        } else {
+          stack.push({ tag: raw, offset: match.index });
+          output += `<emphasis level="${raw === '**' ? 'strong' : 'moderate'}">`;
+        }
+        continue;
+      }
+
+      if (subject !== undefined) {
+        const [type, ...rest] = spec.split(':');
+        const detail = rest.join(':').trim();
+        const text = this.escapeXml(subject.trim());
+        if (type.trim() === 'sub') {
+          if (!detail) throw fail('{text|sub:alias} needs an alias', match.index, 'sub');
+          output += `<sub alias="${this.escapeXml(detail)}">${text}</sub>`;
+          continue;
+        }
+        if (!SAY_AS_TYPES.includes(type.trim())) {
+          throw fail(
+            `Unknown type "${type.trim()}" in {${subject}|${spec}} (expected sub or one of ${SAY_AS_TYPES.join(', ')})`,
+            match.index,
+            'say-as'
+          );
+        }
+        output += `<say-as interpret-as="${type.trim()}"${detail ? ` format="${this.escapeXml(detail)}"` : ''}>${text}</say-as>`;
+        continue;
+      }
+
+      if (tag === 'pause' && !closing) {
+        const value = argument?.trim();
+        const attribute = !value ? 'strength' : /^\d/.test(value) ? 'time' : 'strength';
+        const problem = this.checkAttributes('break', { [attribute]: value || 'medium' });
+        if (problem) throw fail(problem.replace('<break>', '[pause]'), match.index, 'pause');
+        output += `<break ${attribute}="${value || 'medium'}"/>`;
+        continue;
+      }
+
+      if (PROSODY_TAGS.includes(tag)) {
+        if (closing) {
+          const top = stack[stack.length - 1];
+          if (top?.tag !== tag) {
+            throw fail(
+              top ? `[/${tag}] does not match the open [${top.tag}]` : `Unexpected [/${tag}]`,
+              match.index,
+              tag
+            );
+          }
+          stack.pop();
+          output += '</prosody>';
+          continue;
+        }
+
+        const value = argument?.trim();
+        if (!value) throw fail(`[${tag}] needs a value, e.g. [${tag} ${tag === 'pitch' ? '+2st' : tag === 'rate' ? 'slow' : 'loud'}]`, match.index, tag);
+        const problem = this.checkAttributes('prosody', { [tag]: value });
+        if (problem) throw fail(problem.replace('<prosody>', `[${tag}]`), match.index, tag);
+        stack.push({ tag, offset: match.index });
+        output += `<prosody ${tag}="${value}">`;
+        continue;
+      }
+
+      throw fail(`Unknown markup tag ${raw}`, match.index, tag);
+    }
+
+    output += this.escapeXml(source.slice(lastIndex));
+
+    const unclosed = stack[stack.length - 1];
+    if (unclosed) {
+      const name = unclosed.tag.startsWith('*') ? unclosed.tag : `[${unclosed.tag}]`;
+      throw fail(`Unclosed ${name}`, unclosed.offset, unclosed.tag);
+    }
+
+    return this.validate(`<speak>${output}</speak>`);
+  }
+
+  /**
+   * Insert a <mark name="wN"/> before every spoken word and an end mark before </speak>
+   * Text inside say-as, sub and phoneme is one word with a single mark in front of the element.
+   * @returns {{ssml: string, words: Array<{text: string, sentenceEnd: boolean}>}}
+   */
+  addWordMarks(ssml) {
+    const tokens = this.tokenize(ssml);
+    const words = [];
+    let output = '';
+    let atomicDepth = 0;
+    let atomicWord = null;
+
+    const mark = () => `<mark name="w${words.length}"/>`;
+
+    for (const token of tokens) {
+      if (token.type === 'text') {
+        if (atomicDepth > 0) {
+          atomicWord.text += this.unescapeXml(token.value);
+          output += token.value;
+          continue;
+        }
+        output += token.value
+          .split(/(\s+)/)
+          .map((piece) => {
+            if (!piece || /^\s+$/.test(piece)) return piece;
+            const tag = mark();
+            words.push({ text: this.unescapeXml(piece) });
+            return `${tag}${piece}`;
+          })
+          .join('');
+        continue;
+      }
+
+      if (ATOMIC_ELEMENTS.includes(token.name)) {
+        if (token.type === 'open' && atomicDepth++ === 0) {
+          output += mark();
+          atomicWord = { text: '' };
+          words.push(atomicWord);
+        } else if (token.type === 'close' && --atomicDepth === 0) {
+          atomicWord.text = atomicWord.text.replace(/\s+/g, ' ').trim();
+          atomicWord = null;
+        }
+      }
+
+      if (token.type === 'close' && ['s', 'p'].includes(token.name) && words.length > 0) {
+        words[words.length - 1].sentenceEnd = true;
+      }
+      if (token.type === 'close' && token.name === 'speak') {
+        output += `<mark name="${END_MARK}"/>`;
+      }
+      output += token.raw;
+    }
+
+    return {
+      ssml: output,
+      words: words.map((word) => ({
+        text: word.text,
+        sentenceEnd: !!word.sentenceEnd || SENTENCE_END.test(word.text),
+      })),
+    };
+  }
+
+  /**
+   * Spoken text of SSML, without tags
+   */
+  toPlainText(ssml) {
+    return this.tokenize(ssml)
+      .map((token) => (token.type === 'text' ? this.unescapeXml(token.value) : ' '))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Split SSML into text, open, close and empty (self-closing) tokens; comments are dropped
+   * @throws {SsmlValidationError} - On a malformed tag or duplicate attribute
+   */
+  tokenize(source) {
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      const [raw, closing, name, attributeText, selfClosing] = match;
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: source.slice(lastIndex, match.index), offset: lastIndex });
+      }
+      lastIndex = match.index + raw.length;
+
+      if (raw.startsWith('<!--')) continue;
+      if (!name || (closing && (attributeText || selfClosing))) {
+        throw new SsmlValidationError(`Malformed tag ${raw.slice(0, 40)}`, this.getPosition(source, match.index));
+      }
+
+      const attributes = {};
+      for (const [, attribute, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(ATTRIBUTE_PATTERN)) {
+        if (attribute in attributes) {
+          throw new SsmlValidationError(`Duplicate attribute "${attribute}" on <${name}>`, {
+            ...this.getPosition(source, match.index),
+            tag: name,
+          });
+        }
+        attributes[attribute] = this.unescapeXml(doubleQuoted ?? singleQuoted);
+      }
+
+      tokens.push({
+        type: closing ? 'close' : selfClosing ? 'empty' : 'open',
+        name,
+        attributes,
+        raw,
+        offset: match.index,
+      });
+    }
+
+    if (lastIndex < source.length) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex), offset: lastIndex });
+    }
+    return tokens;
+  }
+
+  /**
+   * 1-based line and column of an offset
+   */
+  getPosition(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  unescapeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export const ssmlService = new SsmlService();
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { TtsCacheEntry } from '../models/TtsCacheEntry.js';
+import gcsService, { SIGNED_URL_TTL_SECONDS, SIGNED_URL_REFRESH_MARGIN_MS } from './gcsService.js';
+
+// Bump when the request sent to TTS changes in a way the key can't see (e.g. how word marks are placed)
+const CACHE_VERSION = 1;
+
+/**
+ * Content-addressed cache of synthesized speech
+ *
+ * Audio is stored in GCS as tts-cache/{key}.mp3 (with a local copy under uploads/audio) and indexed in
+ * MongoDB by a hash of everything that affects the result, so identical requests reuse the stored audio
+ * and its word timings instead of calling Text-to-Speech again. The cache never fails a request: any
+ * error here is logged and treated as a miss.
+ */
+class TtsCacheService {
+  constructor() {
+    // Signed URLs of cached audio, by key
+    this.signedUrls = new Map();
+  }
+
+  /**
+   * Cache key for a TTS request; whitespace differences and number formatting don't change it
+   */
+  getKey({ ssml, voiceName, languageCode, rate = 1.0, pitch = 0, audioEncoding = 'MP3' }) {
+    const normalizedSsml = ssml.replace(/\s+/g, ' ').trim();
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        CACHE_VERSION,
+        normalizedSsml,
+        voiceName,
+        languageCode,
+        Number(rate).toFixed(2),
+        Number(pitch).toFixed(1),
+        audioEncoding,
+      ]))
+      .digest('hex');
+  }
+
+  async has(key) {
+    try {
+      return !!(await TtsCacheEntry.exists({ key }));
+    } catch (error) {
+      console.error('TTS cache lookup failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Cached audio and timings for a key, or null on a miss
+   * @returns {Promise<{audioContent: Buffer, timings: object}|null>}
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = await TtsCacheEntry.findOneAndUpdate(
+        { key },
+        { $inc: { hits: 1 }, lastUsedAt: new Date() },
+        { new: true }
+      );
+      if (!entry) {
+        return null;
+      }
+
+      const localPath = this.getLocalPath(key);
+      if (!fs.existsSync(localPath)) {
+        if (!entry.gcsFileName) {
+          throw new Error('audio is no longer stored');
+        }
+        await gcsService.downloadFile(entry.gcsFileName, localPath);
+      }
+
+      const { words, sentences, durationMs } = entry.timings || {};
+      return {
+        audioContent: fs.readFileSync(localPath),
+        timings: { words: words || [], sentences: sentences || [], durationMs: durationMs ?? null },
+      };
+    } catch (error) {
+      console.error(`TTS cache read failed for ${key}, synthesizing again:`, error.message);
+      // Forget the entry so the fresh result replaces it
+      if (entry) {
+        await entry.deleteOne().catch(() => {});
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store synthesized audio under its key: local copy, GCS when available, then the index entry
+   */
+  async set(key, { audioContent, timings, voiceName, languageCode, rate = 1.0, pitch = 0 }) {
+    try {
+      const buffer = Buffer.isBuffer(audioContent) ? audioContent : Buffer.from(audioContent, 'base64');
+      const localPath = this.getLocalPath(key);
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.writeFileSync(localPath, buffer);
+
+      let gcsFileName = null;
+      try {
+        const uploaded = await gcsService.uploadFile(localPath, this.getObjectName(key), 'audio/mpeg');
+        gcsFileName = uploaded.fileName;
+        this.signedUrls.set(key, { url: uploaded.signedUrl, expiresAt: Date.now() + SIGNED_URL_TTL_SECONDS * 1000 });
+      } catch (error) {
+        console.error(`GCS upload failed, TTS cache entry ${key} is local only:`, error.message);
+      }
+
+      await TtsCacheEntry.findOneAndUpdate(
+        { key },
+        {
+          voiceName,
+          languageCode,
+          rate,
+          pitch,
+          gcsFileName,
+          sizeBytes: buffer.length,
+          timings: timings || { words: [], sentences: [], durationMs: null },
+          lastUsedAt: new Date(),
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      console.error(`TTS cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * URL for cached audio: a signed GCS URL, or the local copy when it isn't in GCS
+   * @returns {Promise<string|null>}
+   */
+  async getAudioUrl(key) {
+    const remembered = this.signedUrls.get(key);
+    if (remembered && remembered.expiresAt - Date.now() > SIGNED_URL_REFRESH_MARGIN_MS) {
+      return remembered.url;
+    }
+
+    try {
+      const entry = await TtsCacheEntry.findOne({ key }).select('gcsFileName');
+      if (entry?.gcsFileName) {
+        const url = await gcsService.getSignedUrl(entry.gcsFileName, SIGNED_URL_TTL_SECONDS);
+        this.signedUrls.set(key, { url, expiresAt: Date.now() + SIGNED_URL_TTL_SECONDS * 1000 });
+        return url;
+      }
+    } catch (error) {
+      console.error(`Failed to sign TTS cache audio ${key}, checking local copy:`, error.message);
+    }
+
+    return fs.existsSync(this.getLocalPath(key)) ? `/uploads/audio/tts-cache/${key}.mp3` : null;
+  }
+
+  getObjectName(key) {
+    return `tts-cache/${key}.mp3`;
+  }
+
+  getLocalPath(key) {
+    return path.join(process.cwd(), 'uploads', 'audio', 'tts-cache', `${key}.mp3`);
+  }
+}
+
+export const ttsCacheService = new TtsCacheService();
@@ -1,4 +1,6 @@
 import bcrypt from 'bcrypt';
+import mongoose from 'mongoose';
+import { config } from '../config.js';
 import { User } from '../models/User.js';
 import { generateToken } from '../middleware/auth.js';
 
@@ -98,3 +100,66 @@ export const updateUserProfile = async (userId, updateData) => {
     throw new Error(error.message);
   }
 };
+
+// Usage counters per quota type
+const QUOTA_FIELDS = {
+  videos: { usage: 'videosThisMonth', quota: 'videosPerMonth' },
+  voiceOvers: { usage: 'voiceOversThisMonth', quota: 'voiceOversPerMonth' },
+};
+
+/**
+ * Count one unit of usage against a user's monthly quota
+ * Free users over quota are rejected, and so are unknown users: without a user there is no quota to check.
+ * In development mode the unauthenticated dev user has no document; it is let through uncharged (returns false).
+ * The check and the increment are one update, so concurrent requests can't both take the last unit.
+ */
+export const consumeQuota = async (userId, type) => {
+  try {
+    const fields = QUOTA_FIELDS[type];
+    const exists = mongoose.isValidObjectId(userId) && (await User.exists({ _id: userId }));
+    if (!exists) {
+      if (config.nodeEnv === 'development') {
+        return false;
+      }
+      throw new Error('User not found');
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        $or: [
+          { subscription: { $exists: true, $ne: 'free' } },
+          { $expr: { $lt: [`$apiUsage.${fields.usage}`, `$apiQuota.${fields.quota}`] } },
+        ],
+      },
+      { $inc: { [`apiUsage.${fields.usage}`]: 1 } },
+      { new: true }
+    );
+    if (user) {
+      return true;
+    }
+
+    throw new Error(
+      type === 'videos'
+        ? 'Video generation quota exceeded'
+        : 'Voice-over quota exceeded'
+    );
+  } catch (error) {
+    throw new Error(error.message);
+  }
+};
+
+/**
+ * Give back one unit of usage, e.g. for failed or placeholder results
+ */
+export const refundQuota = async (userId, type) => {
+  try {
+    const { usage } = QUOTA_FIELDS[type];
+    await User.updateOne(
+      { _id: userId, [`apiUsage.${usage}`]: { $gt: 0 } },
+      { $inc: { [`apiUsage.${usage}`]: -1 } }
+    );
+  } catch (error) {
+    throw new Error(error.message);
+  }
+};
@@ -1,124 +1,484 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
 import { VideoGenerationJob } from '../models/VideoGenerationJob.js';
 import { Scene } from '../models/Scene.js';
 import { Project } from '../models/Project.js';
-import { User } from '../models/User.js';
-import { googleVideoService } from './googleVideoService.js';
+import { getVideoProvider, resolveProviderName } from './videoProviders.js';
+import { localVideoService } from './localVideoService.js';
 import { googleTTSService } from './googleTTSService.js';
+import { ssmlService } from './ssmlService.js';
+import { lexiconService } from './lexiconService.js';
+import gcsService, { SIGNED_URL_TTL_SECONDS, SIGNED_URL_REFRESH_MARGIN_MS } from './gcsService.js';
+import { GenerationError, classifyError, getRetryDelay } from './retryPolicy.js';
+import { consumeQuota, refundQuota } from './userService.js';
+import { jobEventService } from './jobEventService.js';
+import { webhookService } from './webhookService.js';
+import { compilationService } from './compilationService.js';
+import { createCommand, runCommand, getMediaInfo, AUDIO_SAMPLE_RATE } from './ffmpegService.js';
+import { config } from '../config.js';
+
+// Voice presets offered by the editor, matched to each voice's gender in the TTS catalogue
+const VOICE_PRESETS = {
+  'male-professional': 'en-US-Neural2-D',
+  'female-professional': 'en-US-Neural2-C',
+  'male-casual': 'en-US-Neural2-J',
+  'female-casual': 'en-US-Neural2-F',
+};
+
+// Longest narration recording accepted for a single scene
+const MAX_RECORDING_SECONDS = 10 * 60;
 
 class VideoGenerationService {
   /**
-   * Queue video generation job
+   * Create a persisted generation job for the worker to pick up
+   * The provider comes from options.provider, the project's videoSettings.provider or VIDEO_PROVIDER
+   * The user's video quota is charged here and refunded if the job ends without a real video
+   * When the user already has a completed generation in the project with the same fingerprint, its video is offered or
+   * reused (options.reuse or GENERATION_REUSE, 'offer' by default: 'offer' returns it without starting a
+   * job, 'auto' reuses it, 'off' always generates); options.force skips the check.
    */
-  async queueVideoGeneration(userId, sceneId, projectId, options = {}) {
+  async generateVideo(prompt, options = {}) {
     try {
-      const scene = await Scene.findById(sceneId);
-      if (!scene) {
-        throw new Error('Scene not found');
+      const {
+        duration = 5,
+        quality = 'standard',
+        aspectRatio = '16:9',
+        resolution = '1080p',
+        seed = null,
+      } = options;
+      if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 4294967295)) {
+        throw new Error('seed must be an integer between 0 and 4294967295');
       }
 
-      // Check user quota
-      const user = await User.findById(userId);
-      if (
-        user.apiUsage.videosThisMonth >= user.apiQuota.videosPerMonth &&
-        user.subscription === 'free'
-      ) {
-        throw new Error('Video generation quota exceeded');
+      // Uploaded, image and color-card scenes don't use generated video
+      const scene = mongoose.isValidObjectId(options.sceneId)
+        ? await Scene.findById(options.sceneId).select('sourceType')
+        : null;
+      if (scene && scene.sourceType !== 'generated') {
+        throw new Error(`Scene uses the ${scene.sourceType} source; set its sourceType to generated first`);
       }
 
-      // Create job
-      const job = new VideoGenerationJob({
-        projectId,
-        sceneId,
-        userId,
-        script: scene.script,
-        quality: options.quality || 'standard',
-        resolution: options.resolution || '1080p',
-        aspectRatio: options.aspectRatio || '16:9',
-        stylePreset: options.stylePreset || scene.stylePreset,
+      const project = mongoose.isValidObjectId(options.projectId)
+        ? await Project.findById(options.projectId).select('videoSettings.provider')
+        : null;
+      const provider = getVideoProvider(
+        resolveProviderName({ requested: options.provider, project })
+      );
+      provider.assertConfigured();
+
+      const fingerprint = this.getGenerationFingerprint(prompt, {
+        provider,
+        duration,
+        aspectRatio,
+        resolution,
+        seed,
+      });
+      const reuse = options.reuse || config.generationReuse;
+      if (!['auto', 'offer', 'off'].includes(reuse)) {
+        throw new Error(`Invalid reuse mode: ${reuse} (expected auto, offer or off)`);
+      }
+      if (!options.force && reuse !== 'off') {
+        const reusable = await this.findReusableJob(options.userId, project?._id ?? null, fingerprint);
+        if (reusable && reuse === 'offer') {
+          return {
+            status: 'reusable',
+            jobId: null,
+            reusableJobId: reusable._id.toString(),
+            provider: reusable.provider,
+            videoUrl: await this.getFreshSignedUrl(reusable),
+            videoPrompt: prompt,
+          };
+        }
+        if (reusable) {
+          return await this.reuseGeneration(reusable, prompt, { ...options, project, fingerprint });
+        }
+      }
+
+      const quotaCharged = await consumeQuota(options.userId, 'videos');
+
+      // Persist the job so its state survives restarts and is visible to every replica
+      const job = await VideoGenerationJob.create({
+        userId: options.userId,
+        projectId: project ? project._id : null,
+        sceneId: mongoose.isValidObjectId(options.sceneId) ? options.sceneId : null,
+        script: prompt,
+        provider: provider.name,
+        quality,
+        resolution,
+        aspectRatio,
+        ...(options.stylePreset && { stylePreset: options.stylePreset }),
+        options: {
+          duration,
+          style: options.style,
+          seed,
+          projectId: options.projectId,
+        },
+        failurePolicy: options.failurePolicy || config.generationFailurePolicy,
+        quotaCharged,
+        fingerprint,
         status: 'queued',
+      }).catch(async (error) => {
+        if (quotaCharged) await refundQuota(options.userId, 'videos');
+        throw error;
       });
+      const jobId = job._id.toString();
+      jobEventService.publish(job, 'status');
 
-      await job.save();
+      // The scene shows it is generating until the job completes, fails or is cancelled
+      if (job.sceneId) {
+        await Scene.findByIdAndUpdate(job.sceneId, { videoStatus: 'generating' });
+      }
 
-      // Queue with Google API
-      const googleJob = await googleVideoService.generateVideo(
-        scene.script,
-        {
-          duration: scene.duration / 1000, // convert to seconds
-          quality: job.quality,
-          aspectRatio: job.aspectRatio,
-          resolution: job.resolution,
-        }
-      );
+      return {
+        status: 'queued',
+        jobId,
+        provider: provider.name,
+        estimatedProcessingTime: this.getProcessingTime(quality),
+        videoPrompt: prompt,
+      };
+    } catch (error) {
+      throw new Error(`Video generation failed: ${error.message}`);
+    }
+  }
 
-      job.googleJobId = googleJob.jobId;
-      job.status = 'processing';
-      job.processingStartTime = new Date();
-      await job.save();
+  /**
+   * Hash of everything that decides what a generation renders: provider and model, the normalized
+   * prompt, and those of duration, aspect ratio, resolution and seed the provider sends (its renderOptions)
+   */
+  getGenerationFingerprint(prompt, { provider, ...params }) {
+    const values = { ...params, duration: Number(params.duration), seed: params.seed ?? null };
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        provider.name,
+        provider.getModelId(),
+        prompt.replace(/\s+/g, ' ').trim(),
+        ...provider.renderOptions.map((key) => [key, values[key]]),
+      ]))
+      .digest('hex');
+  }
 
-      // Update scene status
-      await Scene.findByIdAndUpdate(sceneId, {
-        videoStatus: 'generating',
-      });
+  /**
+   * The user's latest real (not fallback or placeholder) generation with this fingerprint that is stored in GCS.
+   * Only the same project's jobs qualify: its video lives under that project's prefix, which is all
+   * assembly and compilation read from.
+   */
+  async findReusableJob(userId, projectId, fingerprint) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return null;
+    }
+    return VideoGenerationJob.findOne({
+      userId,
+      projectId,
+      fingerprint,
+      status: 'completed',
+      fallbackFrom: null,
+      gcsFileName: { $ne: null },
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Record a job that reuses an earlier generation's video
+   * No provider is called and no quota is charged; the job completes straight away, which updates
+   * and assembles its scene like any finished generation.
+   */
+  async reuseGeneration(source, prompt, options) {
+    const job = await VideoGenerationJob.create({
+      userId: options.userId,
+      projectId: options.project ? options.project._id : null,
+      sceneId: mongoose.isValidObjectId(options.sceneId) ? options.sceneId : null,
+      script: prompt,
+      provider: source.provider,
+      quality: options.quality || source.quality,
+      resolution: source.resolution,
+      aspectRatio: source.aspectRatio,
+      ...(options.stylePreset && { stylePreset: options.stylePreset }),
+      options: { ...source.options, projectId: options.projectId },
+      failurePolicy: options.failurePolicy || config.generationFailurePolicy,
+      fingerprint: options.fingerprint,
+      reusedFromJobId: source._id,
+      // Created finished so the worker never claims it
+      status: 'completed',
+      progress: 100,
+      processingStartTime: new Date(),
+    });
+    const jobId = job._id.toString();
+    console.log(`Job ${jobId} reuses the video of job ${source._id}`);
+
+    const completed = await this.completeVideoGeneration(jobId, {
+      videoPath: source.videoPath,
+      videoUrl: await gcsService.getSignedUrl(source.gcsFileName, SIGNED_URL_TTL_SECONDS),
+      videoUrlExpiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000),
+      gcsFileName: source.gcsFileName,
+    });
+
+    return {
+      status: completed.status,
+      jobId,
+      reusedFromJobId: source._id.toString(),
+      provider: source.provider,
+      estimatedProcessingTime: 0,
+      videoPrompt: prompt,
+    };
+  }
 
-      // Update user usage
-      await User.findByIdAndUpdate(userId, {
-        'apiUsage.videosThisMonth': user.apiUsage.videosThisMonth + 1,
+  /**
+   * Run a job through its provider: generate, poll, fetch the result and upload it
+   * Jobs that already have an operation name resume polling instead of starting over
+   * Called by the job worker; `signal` aborts polling when the worker loses its lease.
+   * Progress updates only apply while the job is processing, so a cancelled job stops at the next one.
+   */
+  async processVideoGeneration(jobId, { signal } = {}) {
+    let job;
+    try {
+      job = await this.findJob(jobId);
+      const provider = getVideoProvider(job.provider);
+      const options = this.getJobOptions(job);
+      const resuming = !!job.operationName;
+
+      if (!resuming) {
+        await this.updateActiveJob(jobId, { progress: 10, processingStartTime: new Date() });
+      }
+
+      let result;
+      if (resuming) {
+        console.log(`Resuming ${provider.name} operation for job ${jobId}: ${job.operationName}`);
+        result = await this.waitForOperation(jobId, provider, job.operationName, signal);
+      } else {
+        await this.updateActiveJob(jobId, { progress: 15 });
+        const started = await provider.generate(job.script, options);
+
+        if (started.done) {
+          result = started.result;
+        } else {
+          // Persist the operation name right away so a restart can resume polling
+          await this.updateActiveJob(jobId, {
+            operationName: started.operationId,
+            googleJobId: started.operationId,
+            progress: 20,
+          }).catch(async (error) => {
+            // Cancelled while the operation was being started; don't leave it running
+            await this.cancelOperation(provider, started.operationId);
+            throw error;
+          });
+          result = await this.waitForOperation(jobId, provider, started.operationId, signal);
+        }
+      }
+
+      // Extract and save video
+      await this.updateActiveJob(jobId, { progress: 95 });
+      const videoPath = this.getLocalVideoFile(jobId, options.projectId);
+      const localVideoPath = this.getLocalVideoPath(videoPath);
+      await provider.fetchResult(result, localVideoPath);
+
+      await this.completeVideoGeneration(jobId, {
+        videoPath, // Always keep local path
+        videoUrl: null,
+        gcsFileName: null,
+        ...(await this.uploadVideo(localVideoPath, options.projectId)),
       });
 
-      return job;
+      console.log(`${provider.name} video saved for job ${jobId}`);
     } catch (error) {
-      throw new Error(`Failed to queue video: ${error.message}`);
+      if (signal?.aborted) {
+        // Another worker owns the job now; leave its state alone
+        console.warn(`Stopped processing job ${jobId}: ${error.message}`);
+        return;
+      }
+
+      console.error(`Video generation failed for job ${jobId}:`, error.message);
+      console.error('Full error details:', JSON.stringify(error.response?.data || error, null, 2));
+      if (!job) return;
+
+      // Retries and the job's failure policy are handled there
+      await this.failVideoGeneration(jobId, error)
+        .catch((err) => console.error(`Failed to record error for job ${jobId}:`, err.message));
     }
   }
 
   /**
-   * Get job status
+   * Poll a provider operation until it completes, fails or times out
    */
-  async getJobStatus(jobId) {
-    try {
-      const job = await VideoGenerationJob.findById(jobId);
-      if (!job) {
-        throw new Error('Job not found');
+  async waitForOperation(jobId, provider, operationId, signal) {
+    const { pollIntervalMs, maxPolls } = provider;
+    let pollCount = 0;
+
+    while (pollCount < maxPolls) {
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      if (signal?.aborted) {
+        throw new Error(signal.reason?.message || 'Processing aborted');
+      }
+      pollCount++;
+
+      console.log(`Polling ${provider.name} (${pollCount}/${maxPolls})...`);
+      const { done, result } = await provider.poll(operationId);
+      if (done) {
+        return result;
       }
 
-      // Check with Google API
-      const status = await googleVideoService.getVideoStatus(job.googleJobId);
+      // Progress goes from 20% to 90% over the polling period
+      await this.updateActiveJob(jobId, {
+        progress: Math.min(20 + Math.floor((pollCount / maxPolls) * 70), 90),
+      });
+    }
 
+    // The operation may still finish, so a retry resumes polling it instead of paying for a new one
+    throw new GenerationError('Video generation timeout - operation took too long', {
+      transient: true,
+      operationFailed: false,
+    });
+  }
+
+  /**
+   * Upload a finished video to Google Cloud Storage
+   * @returns {Promise<{gcsFileName?: string, videoUrl?: string}>} - Empty when the upload fails
+   */
+  async uploadVideo(localVideoPath, projectId) {
+    try {
+      const { fileName, signedUrl } = await gcsService.uploadVideo(
+        localVideoPath,
+        projectId || 'default'
+      );
+      console.log(`Video uploaded to GCS: ${fileName}`);
+      // Store GCS filename for future signed URL generation; signed URL is valid for 24 hours
       return {
+        gcsFileName: fileName,
+        videoUrl: signedUrl,
+        videoUrlExpiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000),
+      };
+    } catch (uploadError) {
+      console.error('GCS upload failed, using local file only:', uploadError.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check video generation status
+   */
+  async getVideoStatus(jobId) {
+    try {
+      const job = await this.findJob(jobId);
+
+      const startTime = job.processingStartTime || job.createdAt;
+      const elapsedTime = Math.floor((Date.now() - startTime.getTime()) / 1000);
+      const estimatedTotal = this.getProcessingTime(job.quality);
+      const estimatedTimeRemaining = Math.max(0, estimatedTotal - elapsedTime);
+
+      // Return signed URL from GCS (preferred) or local path (fallback)
+      let videoUrl = null;
+      let localPath = job.videoPath;
+      
+      // If video is completed (or degraded) and we have GCS filename, reuse or refresh the signed URL
+      if (['completed', 'degraded'].includes(job.status) && job.gcsFileName) {
+        try {
+          videoUrl = await this.getFreshSignedUrl(job);
+        } catch (err) {
+          console.error('Failed to generate signed URL, will use local fallback:', err.message);
+          videoUrl = null; // Will fall back to local
+        }
+      } else if (job.videoUrl) {
+        // Use existing signed URL
+        videoUrl = job.videoUrl;
+      }
+      
+      const statusData = {
         jobId,
         status: job.status,
-        progress: status.progress,
-        estimatedTimeRemaining: status.estimatedTimeRemaining,
+        provider: job.provider,
+        progress: job.progress,
+        estimatedTimeRemaining,
+        error: job.errorMessage,
+        failurePolicy: job.failurePolicy,
+        fallbackFrom: job.fallbackFrom,
+        reusedFromJobId: job.reusedFromJobId,
+        retryCount: job.retryCount,
+        maxRetries: job.maxRetries,
+        nextAttemptAt: job.nextAttemptAt,
+        retryHistory: job.retryHistory,
+        videoUrl: videoUrl, // Signed URL from GCS (or null)
+        localPath: localPath, // Local fallback path
         createdAt: job.createdAt,
         updatedAt: job.updatedAt,
       };
+
+      return statusData;
+    } catch (error) {
+      throw new Error(`Failed to get video status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download/retrieve generated video
+   */
+  async getVideoUrl(jobId) {
+    try {
+      const job = await this.findJob(jobId);
+
+      if (!['completed', 'degraded'].includes(job.status)) {
+        throw new Error('Video not ready yet');
+      }
+
+      // Return signed URL from GCS (or local fallback)
+      if (job.gcsFileName) {
+        return await this.getFreshSignedUrl(job);
+      }
+      
+      return job.videoPath || job.videoUrl;
     } catch (error) {
-      throw new Error(`Failed to get job status: ${error.message}`);
+      throw new Error(`Failed to retrieve video: ${error.message}`);
     }
   }
 
   /**
    * Complete video generation job
    */
-  async completeVideoGeneration(jobId, videoUrl) {
+  async completeVideoGeneration(jobId, completion = {}) {
     try {
-      const job = await VideoGenerationJob.findByIdAndUpdate(
-        jobId,
+      const current = await VideoGenerationJob.findById(jobId).select('status provider fallbackFrom');
+      if (current.status === 'cancelled') {
+        console.log(`Job ${jobId} was cancelled, discarding its result`);
+        return current;
+      }
+
+      // A fallback to a provider that only renders placeholders is not a real result
+      const degraded = !!current.fallbackFrom && getVideoProvider(current.provider).placeholder;
+
+      const job = await VideoGenerationJob.findOneAndUpdate(
+        { _id: jobId, status: { $ne: 'cancelled' } },
         {
-          status: 'completed',
-          videoUrl,
+          status: degraded ? 'degraded' : 'completed',
+          progress: 100,
           processingEndTime: new Date(),
+          nextAttemptAt: null,
+          ...completion,
         },
         { new: true }
       );
+      if (!job) {
+        return current;
+      }
+      jobEventService.publish(job, 'status');
 
-      // Update scene
-      await Scene.findByIdAndUpdate(job.sceneId, {
-        videoUrl,
-        videoStatus: 'completed',
-        duration: 5000, // Update with actual duration
-      });
+      // Update scene (unless it was switched to another source while the job ran)
+      if (job.sceneId) {
+        await Scene.updateOne({ _id: job.sceneId, sourceType: 'generated' }, {
+          videoUrl: job.videoUrl || (job.videoPath ? `/${job.videoPath}` : null),
+          videoGcsFileName: job.gcsFileName,
+          videoStatus: job.status,
+        });
+
+        // Probe the clip, fit it to any narration and record the real scene duration
+        await compilationService.assembleScene(job.sceneId).catch((error) =>
+          console.error(`Failed to assemble scene ${job.sceneId}:`, error.message)
+        );
+      }
+
+      if (degraded) {
+        await this.refundJobQuota(job);
+      }
+      this.emitJobWebhook(job);
 
       return job;
     } catch (error) {
@@ -128,111 +488,653 @@ class VideoGenerationService {
 
   /**
    * Handle video generation failure
+   * Transient errors (429, 5xx, timeouts) are re-queued with exponential backoff and jitter
+   * until maxRetries is reached; permanent errors fail the job straight away.
+   * Once retries are exhausted, the failure policy decides the outcome before anything is written,
+   * so a job that falls back or degrades is never published as failed.
    */
-  async failVideoGeneration(jobId, errorMessage) {
+  async failVideoGeneration(jobId, error) {
     try {
-      const job = await VideoGenerationJob.findByIdAndUpdate(
-        jobId,
+      const job = await VideoGenerationJob.findById(jobId);
+      if (!job) {
+        throw new Error('Job not found');
+      }
+      if (job.status === 'cancelled') {
+        return job;
+      }
+
+      const errorMessage = typeof error === 'string' ? error : error.message;
+      const { transient, statusCode, errorType } = classifyError(error);
+      const willRetry = transient && job.retryCount < job.maxRetries;
+      const now = new Date();
+      const nextAttemptAt = willRetry
+        ? new Date(now.getTime() + getRetryDelay(job.retryCount + 1))
+        : null;
+
+      const update = {
+        errorMessage,
+        nextAttemptAt,
+        $push: {
+          retryHistory: {
+            attempt: job.retryCount + 1,
+            errorMessage,
+            errorType,
+            statusCode,
+            provider: job.provider,
+            failedAt: now,
+            nextAttemptAt,
+          },
+        },
+      };
+
+      if (willRetry) {
+        // Queue for retry; keep the operation if it may still be running on the provider's side
+        Object.assign(update, {
+          status: 'queued',
+          retryCount: job.retryCount + 1,
+          ...(error?.operationFailed && { operationName: null }),
+        });
+        console.log(
+          `Job ${jobId} hit a ${errorType} error, retry ${job.retryCount + 1}/${job.maxRetries} at ${nextAttemptAt.toISOString()}`
+        );
+      } else {
+        return await this.applyFailurePolicy(job, update);
+      }
+
+      const updated = await VideoGenerationJob.findOneAndUpdate(
+        { _id: jobId, status: { $ne: 'cancelled' } },
+        update,
+        { new: true }
+      );
+      if (!updated) {
+        return job;
+      }
+      jobEventService.publish(updated, 'error');
+
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to handle video error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the job's failure policy after retries are exhausted, recording the failure with the outcome
+   * - fail: the job is marked failed
+   * - placeholder: a placeholder clip is stored and the job is marked degraded
+   * - fallback-provider: the job is re-queued on FALLBACK_VIDEO_PROVIDER (failed if there is none)
+   * The real error stays on the job, and failed or degraded jobs don't count against quota.
+   * @param {object} failure - Error fields and retry history entry for the job update
+   */
+  async applyFailurePolicy(job, failure) {
+    const jobId = job._id.toString();
+
+    if (job.failurePolicy === 'fallback-provider') {
+      const fallbackJob = await this.queueFallbackProvider(job, failure);
+      if (fallbackJob) {
+        jobEventService.publish(fallbackJob, 'status');
+        return fallbackJob;
+      }
+    }
+
+    let outcome = { status: 'failed' };
+    if (job.failurePolicy === 'placeholder') {
+      const videoPath = this.getLocalVideoFile(jobId, job.options?.projectId);
+      const localPath = this.getLocalVideoPath(videoPath);
+      localVideoService.createBasicMP4(localPath, job.script);
+
+      // Try to upload placeholder to GCS too
+      const uploaded = await this.uploadVideo(localPath, job.options?.projectId);
+      outcome = {
+        status: 'degraded',
+        progress: 100,
+        videoPath: uploaded.gcsFileName ? null : videoPath,
+        ...uploaded,
+      };
+    }
+
+    const finished = await VideoGenerationJob.findOneAndUpdate(
+      { _id: jobId, status: { $ne: 'cancelled' } },
+      { ...failure, ...outcome, processingEndTime: new Date() },
+      { new: true }
+    );
+    if (!finished) {
+      return job;
+    }
+    if (finished.status === 'degraded') {
+      console.warn(`Job ${jobId} degraded to a placeholder video: ${finished.errorMessage}`);
+      jobEventService.publish(finished, 'status');
+    } else {
+      jobEventService.publish(finished, 'error');
+    }
+
+    // Update scene (unless it was switched to another source while the job ran)
+    if (finished.sceneId) {
+      await Scene.updateOne({ _id: finished.sceneId, sourceType: 'generated' }, {
+        videoStatus: finished.status,
+        ...(finished.status === 'degraded' && {
+          videoUrl: finished.videoUrl || `/${finished.videoPath}`,
+          videoGcsFileName: finished.gcsFileName,
+        }),
+        $push: { errors: { type: finished.errorMessage, timestamp: new Date() } },
+      });
+    }
+
+    await this.refundJobQuota(finished);
+    this.emitJobWebhook(finished);
+    return finished;
+  }
+
+  /**
+   * Re-queue a failed job on the fallback provider, recording the failure that caused it
+   * @returns {Promise<object|null>} - The re-queued job, or null if no fallback applies (or it was cancelled)
+   */
+  async queueFallbackProvider(job, failure = {}) {
+    const fallbackName = config.fallbackVideoProvider;
+    if (job.fallbackFrom || !fallbackName || fallbackName === job.provider) {
+      return null;
+    }
+
+    const fallback = getVideoProvider(fallbackName);
+    try {
+      fallback.assertConfigured();
+    } catch (error) {
+      console.error(`Fallback provider ${fallbackName} unavailable:`, error.message);
+      return null;
+    }
+
+    console.warn(`Job ${job._id} failed on ${job.provider}, falling back to ${fallbackName}`);
+    return VideoGenerationJob.findOneAndUpdate(
+      { _id: job._id, status: { $ne: 'cancelled' } },
+      {
+        ...failure,
+        status: 'queued',
+        provider: fallbackName,
+        fallbackFrom: job.provider,
+        operationName: null,
+        retryCount: 0,
+        nextAttemptAt: null,
+        progress: 0,
+        processingEndTime: null,
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Cancel a queued or processing job
+   * The worker notices the status change at its next progress update or lease renewal and stops polling;
+   * the provider operation is cancelled where the provider supports it.
+   */
+  async cancelVideoGeneration(jobId) {
+    try {
+      const job = await VideoGenerationJob.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['queued', 'processing'] } },
         {
-          status: 'failed',
-          errorMessage,
+          status: 'cancelled',
           processingEndTime: new Date(),
-          retryCount: (await VideoGenerationJob.findById(jobId)).retryCount + 1,
+          nextAttemptAt: null,
         },
         { new: true }
       );
+      if (!job) {
+        const existing = await this.findJob(jobId);
+        throw new Error(`Job is already ${existing.status}`);
+      }
+      jobEventService.publish(job, 'status');
 
-      // Update scene
-      await Scene.findByIdAndUpdate(job.sceneId, {
-        videoStatus: 'failed',
-        errors: [{ type: errorMessage, timestamp: new Date() }],
-      });
+      if (job.operationName) {
+        await this.cancelOperation(getVideoProvider(job.provider), job.operationName);
+      }
 
-      // Retry if possible
-      if (job.retryCount < job.maxRetries) {
-        // Queue for retry
-        job.status = 'queued';
-        await job.save();
+      if (job.sceneId) {
+        await Scene.updateOne({ _id: job.sceneId, sourceType: 'generated' }, { videoStatus: 'cancelled' });
       }
 
+      await this.refundJobQuota(job);
+      this.emitJobWebhook(job);
+
+      console.log(`Job ${jobId} cancelled`);
       return job;
     } catch (error) {
-      throw new Error(`Failed to handle video error: ${error.message}`);
+      throw new Error(`Failed to cancel video: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask the provider to stop an operation; failures are logged, not thrown
+   */
+  async cancelOperation(provider, operationId) {
+    try {
+      const cancelled = await provider.cancel(operationId);
+      if (cancelled) {
+        console.log(`Cancelled ${provider.name} operation ${operationId}`);
+      }
+    } catch (error) {
+      console.error(`Failed to cancel ${provider.name} operation ${operationId}:`, error.message);
+    }
+  }
+
+  /**
+   * Notify the job owner's webhooks about a finished job
+   */
+  emitJobWebhook(job) {
+    const events = {
+      completed: 'scene.video.completed',
+      degraded: 'scene.video.degraded',
+      failed: 'job.failed',
+      cancelled: 'job.cancelled',
+    };
+    if (!events[job.status]) return;
+
+    webhookService.emit(job.userId, events[job.status], {
+      jobId: job._id.toString(),
+      projectId: job.projectId ? job.projectId.toString() : null,
+      sceneId: job.sceneId ? job.sceneId.toString() : null,
+      status: job.status,
+      provider: job.provider,
+      videoUrl: job.videoUrl || (job.videoPath ? `/${job.videoPath}` : null),
+      error: job.errorMessage || null,
+    });
+  }
+
+  /**
+   * Give back the quota a job consumed; safe to call more than once
+   */
+  async refundJobQuota(job) {
+    const refunded = await VideoGenerationJob.findOneAndUpdate(
+      { _id: job._id, quotaCharged: true },
+      { quotaCharged: false }
+    );
+    if (refunded) {
+      await refundQuota(refunded.userId, 'videos');
     }
   }
 
   /**
    * Generate voice-over for scene
+   * Uses the scene's narration (or script) and saved voice settings, charges one unit of voice-over
+   * quota unless the audio is already cached (refunded if synthesis or storage fails) and stores the
+   * result on the scene.
    */
   async generateVoiceOver(userId, sceneId, projectId) {
+    let charged = false;
     try {
-      const scene = await Scene.findById(sceneId);
+      const scene = mongoose.isValidObjectId(sceneId) ? await Scene.findById(sceneId) : null;
       if (!scene) {
         throw new Error('Scene not found');
       }
+      if (!ssmlService.getSceneText(scene)) {
+        throw new Error('Scene has no script or narration to voice');
+      }
+
+      const { voice, speed = 1.0, pitch = 0 } = scene.voiceSettings;
 
-      // Check quota
-      const user = await User.findById(userId);
-      if (
-        user.apiUsage.voiceOversThisMonth >=
-          user.apiQuota.voiceOversPerMonth &&
-        user.subscription === 'free'
-      ) {
-        throw new Error('Voice-over quota exceeded');
+      // Generate speech, with the project's pronunciation lexicon applied
+      const ssml = await lexiconService.applyToSsml(ssmlService.getSceneSsml(scene), {
+        userId,
+        projectId: scene.projectId,
+        languageCode: googleTTSService.getLanguageCode(voice),
+      });
+      const speechOptions = {
+        ssml,
+        voiceName: voice,
+        rate: speed,
+        pitch,
+      };
+
+      // Re-rendering unchanged narration is served from the TTS cache and costs no quota
+      if (!(await googleTTSService.isCached(scene.script, speechOptions))) {
+        charged = await consumeQuota(userId, 'voiceOvers');
       }
 
-      // Generate speech
-      const speechResult = await googleTTSService.generateSpeech(
-        scene.script,
-        {
-          voiceName: scene.voiceSettings.voice,
-          rate: scene.voiceSettings.speed,
-        }
-      );
+      await Scene.findByIdAndUpdate(sceneId, { voiceOverStatus: 'generating' });
+
+      const speechResult = await googleTTSService.generateSpeech(scene.script, speechOptions);
 
       // Upload audio
-      const audioUrl = await this.uploadAudio(
-        speechResult.audioContent,
-        sceneId
-      );
+      const stored = await this.uploadAudio(speechResult.audioContent, {
+        projectId: scene.projectId,
+        sceneId,
+      });
+      const audioUrl = stored.audioUrl;
 
       // Update scene
       await Scene.findByIdAndUpdate(sceneId, {
         voiceOverUrl: audioUrl,
+        voiceOverGcsFileName: stored.gcsFileName,
+        voiceOverUrlExpiresAt: stored.audioUrlExpiresAt,
         voiceOverStatus: 'completed',
+        voiceOverSource: 'tts',
+        voiceOverTimings: speechResult.timings || { words: [], sentences: [], durationMs: null },
+        // The assembled clip was fitted to the previous narration
+        assembledVideoUrl: null,
+        assembledGcsFileName: null,
       });
+      await this.reassembleScene(scene);
 
-      // Update user usage
-      await User.findByIdAndUpdate(userId, {
-        'apiUsage.voiceOversThisMonth': user.apiUsage.voiceOversThisMonth + 1,
+      webhookService.emit(userId, 'voiceover.completed', {
+        projectId: projectId || scene.projectId.toString(),
+        sceneId,
+        audioUrl,
       });
 
       return {
         sceneId,
         audioUrl,
-        estimatedDuration: googleTTSService.estimateDuration(
-          scene.script,
-          scene.voiceSettings.speed
+        voice,
+        speed,
+        pitch,
+        estimatedDuration: speechResult.timings?.durationMs ?? googleTTSService.estimateDuration(
+          ssmlService.getSceneText(scene),
+          speed
         ),
+        timings: speechResult.timings,
+      };
+    } catch (error) {
+      if (charged) {
+        await refundQuota(userId, 'voiceOvers').catch(() => {});
+      }
+      // Leave the previous voice-over in place; only the status records the failed attempt
+      if (mongoose.isValidObjectId(sceneId)) {
+        await Scene.updateOne(
+          { _id: sceneId, voiceOverStatus: 'generating' },
+          { voiceOverStatus: 'failed' }
+        ).catch(() => {});
+      }
+      throw new Error(`Failed to generate voice-over: ${error.message}`);
+    }
+  }
+
+  /**
+   * Voice free text that isn't saved to a scene (previews); charges voice-over quota like a scene take
+   * unless the audio comes from the TTS cache
+   * @param {object} options - projectId (lexicon scope), format (text/ssml/markup), voice or voiceType, speed, pitch
+   */
+  async generateTextVoiceOver(userId, text, options = {}) {
+    let charged = false;
+    try {
+      const { projectId = null, format = 'text', speed = 1.0, pitch = 0 } = options;
+      const voice = options.voice || VOICE_PRESETS[options.voiceType] || VOICE_PRESETS['female-professional'];
+      await googleTTSService.validateVoice(voice);
+      googleTTSService.validateProsody({ speed, pitch });
+      // The pronunciation lexicon is applied on top of the text, SSML or markup
+      const speechOptions = {
+        ssml: await lexiconService.applyToSsml(ssmlService.toSsml(text, format), {
+          userId,
+          projectId,
+          languageCode: googleTTSService.getLanguageCode(voice),
+        }),
+        voiceName: voice,
+        rate: speed,
+        pitch,
+      };
+
+      if (!(await googleTTSService.isCached(text, speechOptions))) {
+        charged = await consumeQuota(userId, 'voiceOvers');
+      }
+
+      const speechResult = await googleTTSService.generateSpeech(text, speechOptions);
+      const stored = await this.uploadAudio(speechResult.audioContent, { projectId });
+
+      webhookService.emit(userId, 'voiceover.completed', {
+        projectId,
+        sceneId: null,
+        audioUrl: stored.audioUrl,
+      });
+
+      return {
+        sceneId: null,
+        audioUrl: stored.audioUrl,
+        voice,
+        speed,
+        pitch,
+        estimatedDuration: speechResult.timings?.durationMs ?? googleTTSService.estimateDuration(text, speed),
+        timings: speechResult.timings,
       };
     } catch (error) {
+      if (charged) {
+        await refundQuota(userId, 'voiceOvers').catch(() => {});
+      }
       throw new Error(`Failed to generate voice-over: ${error.message}`);
     }
   }
 
   /**
-   * Upload audio to storage
+   * Use an uploaded recording (WAV, MP3 or M4A) as a scene's voice-over instead of TTS
+   * The file is probed, transcoded to MP3 like synthesized speech and stored the same way, so compilation
+   * treats it exactly like a TTS take. Recordings have no word timings; captions are spread over the
+   * recorded duration. Uploads don't count against the voice-over quota.
+   * @param {object} file - multer file ({ path, originalname }); the temp file is removed afterwards
+   */
+  async uploadVoiceOverRecording(userId, sceneId, file) {
+    const transcodedPath = `${file.path}.mp3`;
+    let started = false;
+    try {
+      const scene = mongoose.isValidObjectId(sceneId) ? await Scene.findById(sceneId) : null;
+      if (!scene) {
+        throw new Error('Scene not found');
+      }
+
+      const info = await getMediaInfo(file.path).catch(() => null);
+      if (!info?.hasAudio || !(info.duration > 0)) {
+        throw new Error('File is not a readable audio recording');
+      }
+      if (info.duration > MAX_RECORDING_SECONDS) {
+        throw new Error(`Recording must be at most ${MAX_RECORDING_SECONDS / 60} minutes long`);
+      }
+
+      await Scene.findByIdAndUpdate(sceneId, { voiceOverStatus: 'generating' });
+      started = true;
+
+      // Mono MP3, the same kind of file TTS returns (M4A cover art and other streams are dropped)
+      await runCommand(
+        createCommand(file.path).outputOptions([
+          '-map 0:a:0',
+          '-vn',
+          '-c:a libmp3lame',
+          '-b:a 128k',
+          `-ar ${AUDIO_SAMPLE_RATE}`,
+          '-ac 1',
+        ]),
+        transcodedPath
+      );
+      const { duration } = await getMediaInfo(transcodedPath);
+      const durationMs = Math.round(duration * 1000);
+
+      const stored = await this.uploadAudio(fs.readFileSync(transcodedPath), {
+        projectId: scene.projectId,
+        sceneId,
+      });
+
+      const updated = await Scene.findByIdAndUpdate(
+        sceneId,
+        {
+          voiceOverUrl: stored.audioUrl,
+          voiceOverGcsFileName: stored.gcsFileName,
+          voiceOverUrlExpiresAt: stored.audioUrlExpiresAt,
+          voiceOverStatus: 'completed',
+          voiceOverSource: 'upload',
+          voiceOverTimings: { words: [], sentences: [], durationMs },
+          'metadata.voiceOverDurationMs': durationMs,
+          // The assembled clip was fitted to the previous narration
+          assembledVideoUrl: null,
+          assembledGcsFileName: null,
+        },
+        { new: true }
+      );
+      await this.reassembleScene(scene);
+
+      webhookService.emit(userId, 'voiceover.completed', {
+        projectId: scene.projectId.toString(),
+        sceneId,
+        audioUrl: stored.audioUrl,
+      });
+
+      return {
+        sceneId,
+        audioUrl: stored.audioUrl,
+        source: 'upload',
+        durationMs,
+        voiceOverStatus: updated.voiceOverStatus,
+      };
+    } catch (error) {
+      // As with TTS, the previous voice-over stays in place and only the status records the failure
+      if (started) {
+        await Scene.updateOne(
+          { _id: sceneId, voiceOverStatus: 'generating' },
+          { voiceOverStatus: 'failed' }
+        ).catch(() => {});
+      }
+      throw new Error(`Failed to upload voice-over: ${error.message}`);
+    } finally {
+      fs.rmSync(file.path, { force: true });
+      fs.rmSync(transcodedPath, { force: true });
+    }
+  }
+
+  /**
+   * Fit a scene to its new voice-over and record its real duration, as after a video completes
+   * Scenes still waiting for a clip are assembled once it arrives.
    */
-  async uploadAudio(audioContent, sceneId) {
+  async reassembleScene(scene) {
+    if (!['completed', 'degraded'].includes(scene.videoStatus)) return;
+    await compilationService.assembleScene(scene._id).catch((error) =>
+      console.error(`Failed to assemble scene ${scene._id}:`, error.message)
+    );
+  }
+
+  /**
+   * Store voice-over audio: a local copy under uploads/voiceovers plus GCS when available
+   * Every take gets its own name (voiceovers/{projectId}/{sceneId}-{timestamp}.mp3, locally and in GCS), so
+   * regenerating never overwrites audio an earlier compile or client may still be using.
+   * @returns {Promise<{audioUrl: string, gcsFileName: string|null, audioUrlExpiresAt: Date|null}>}
+   */
+  async uploadAudio(audioContent, { projectId, sceneId } = {}) {
     try {
-      // Upload to GCS or S3
-      // Placeholder - returns storage URL
-      const fileName = `voiceover_${sceneId}_${Date.now()}.mp3`;
-      return `https://storage.example.com/audio/${fileName}`;
+      const timestamp = Date.now();
+      const fileName = `voiceovers/${projectId || 'default'}/${sceneId || 'preview'}-${timestamp}.mp3`;
+      const localPath = path.join(process.cwd(), 'uploads', fileName);
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.writeFileSync(localPath, Buffer.isBuffer(audioContent) ? audioContent : Buffer.from(audioContent, 'base64'));
+
+      const stored = await gcsService.storeFile(localPath, `/uploads/${fileName}`, fileName, 'audio/mpeg');
+      return {
+        audioUrl: stored.url,
+        gcsFileName: stored.gcsFileName,
+        audioUrlExpiresAt: stored.gcsFileName ? new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000) : null,
+      };
     } catch (error) {
       throw new Error(`Failed to upload audio: ${error.message}`);
     }
   }
+
+  /**
+   * A scene's voice-over URL, re-signing it when it is stored in GCS and about to expire
+   */
+  async getFreshVoiceOverUrl(scene) {
+    const expiresAt = scene.voiceOverUrlExpiresAt?.getTime() || 0;
+    if (!scene.voiceOverGcsFileName || expiresAt - Date.now() > SIGNED_URL_REFRESH_MARGIN_MS) {
+      return scene.voiceOverUrl;
+    }
+
+    const voiceOverUrl = await gcsService.getSignedUrl(scene.voiceOverGcsFileName, SIGNED_URL_TTL_SECONDS);
+    const voiceOverUrlExpiresAt = new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000);
+    await Scene.findByIdAndUpdate(scene._id, { voiceOverUrl, voiceOverUrlExpiresAt });
+    scene.voiceOverUrl = voiceOverUrl;
+    scene.voiceOverUrlExpiresAt = voiceOverUrlExpiresAt;
+    return voiceOverUrl;
+  }
+
+  /**
+   * Load a persisted job, treating malformed IDs as missing
+   */
+  async findJob(jobId) {
+    const job = mongoose.isValidObjectId(jobId)
+      ? await VideoGenerationJob.findById(jobId)
+      : null;
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    return job;
+  }
+
+  /**
+   * Apply a partial update to a persisted job
+   */
+  async updateJob(jobId, update) {
+    return VideoGenerationJob.findByIdAndUpdate(jobId, update, { new: true });
+  }
+
+  /**
+   * Update a job only while it is still processing
+   * Throws once the job has been cancelled (or taken out of processing) so the caller stops working on it
+   */
+  async updateActiveJob(jobId, update) {
+    const job = await VideoGenerationJob.findOneAndUpdate(
+      { _id: jobId, status: 'processing' },
+      update,
+      { new: true }
+    );
+    if (!job) {
+      throw new Error('Job is no longer processing');
+    }
+    jobEventService.publish(job, 'progress');
+    return job;
+  }
+
+  /**
+   * Return the stored signed URL, signing a new one only when it is missing or about to expire
+   */
+  async getFreshSignedUrl(job) {
+    const expiresAt = job.videoUrlExpiresAt?.getTime() || 0;
+    if (job.videoUrl && expiresAt - Date.now() > SIGNED_URL_REFRESH_MARGIN_MS) {
+      return job.videoUrl;
+    }
+
+    const videoUrl = await gcsService.getSignedUrl(job.gcsFileName, SIGNED_URL_TTL_SECONDS);
+    await this.updateJob(job._id, {
+      videoUrl,
+      videoUrlExpiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000),
+    });
+    return videoUrl;
+  }
+
+  /**
+   * Rebuild provider options from a persisted job
+   */
+  getJobOptions(job) {
+    return {
+      ...job.options,
+      quality: job.quality,
+      resolution: job.resolution,
+      aspectRatio: job.aspectRatio,
+    };
+  }
+
+  /**
+   * A job's local video, relative to the working directory: uploads/videos/{projectId}/{jobId}.mp4
+   */
+  getLocalVideoFile(jobId, projectId) {
+    return `uploads/videos/${projectId || 'default'}/${jobId}.mp4`;
+  }
+
+  /**
+   * Absolute path for a local video file, creating its directory
+   */
+  getLocalVideoPath(videoPath) {
+    const localPath = path.join(process.cwd(), videoPath);
+    fs.mkdirSync(path.dirname(localPath), { recursive: true });
+    return localPath;
+  }
+
+  getProcessingTime(quality) {
+    const times = {
+      fast: 30,
+      standard: 60,
+      high: 120,
+    };
+    return times[quality] || 60;
+  }
 }
 
 export const videoGenerationService = new VideoGenerationService();
@@ -0,0 +1,74 @@
+/**
+ * Base class for video generation backends
+ *
+ * Providers share a three-step contract so VideoGenerationService can drive any of them:
+ * - generate(prompt, options) starts a generation and resolves to { operationId, done, result }
+ * - poll(operationId) checks a running generation and resolves to { done, result }
+ * - fetchResult(result, destPath) writes the finished MP4 to destPath
+ *
+ * Providers that only render stand-in clips set placeholder, so their output is reported as degraded
+ * when they stand in for another provider. renderOptions lists the generation options the provider
+ * actually sends; only those go into the generation fingerprint.
+ */
+export class VideoProvider {
+  constructor(
+    name,
+    {
+      pollIntervalMs = 5000,
+      maxPolls = 120,
+      placeholder = false,
+      renderOptions = ['duration', 'aspectRatio', 'resolution', 'seed'],
+    } = {}
+  ) {
+    this.name = name;
+    this.placeholder = placeholder;
+    this.renderOptions = renderOptions;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxPolls = maxPolls;
+  }
+
+  /**
+   * Throw if the provider cannot be used (e.g. missing credentials)
+   */
+  assertConfigured() {}
+
+  /**
+   * The model that renders the video; part of the generation fingerprint, so identical requests to a
+   * different model are not reused
+   */
+  getModelId() {
+    return this.name;
+  }
+
+  /**
+   * Start a generation
+   * @returns {Promise<{operationId: string|null, done: boolean, result?: object}>}
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`Video provider "${this.name}" does not implement generate()`);
+  }
+
+  /**
+   * Check the state of a running generation
+   * @returns {Promise<{done: boolean, result?: object}>}
+   */
+  async poll(operationId) {
+    throw new Error(`Video provider "${this.name}" does not implement poll()`);
+  }
+
+  /**
+   * Stop a running generation; providers that can't cancel leave it to finish on its own
+   * @returns {Promise<boolean>} - Whether the provider accepted the cancellation
+   */
+  async cancel(operationId) {
+    return false;
+  }
+
+  /**
+   * Write the finished video to a local file
+   * @returns {Promise<string>} - destPath
+   */
+  async fetchResult(result, destPath) {
+    throw new Error(`Video provider "${this.name}" does not implement fetchResult()`);
+  }
+}
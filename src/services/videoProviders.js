@@ -0,0 +1,30 @@
+import { config } from '../config.js';
+import { googleVideoService } from './googleVideoService.js';
+import { replicateVideoService } from './replicateVideoService.js';
+import { localVideoService } from './localVideoService.js';
+
+const providers = {
+  veo: googleVideoService,
+  replicate: replicateVideoService,
+  local: localVideoService,
+};
+
+export const VIDEO_PROVIDERS = Object.keys(providers);
+
+/**
+ * Get a video provider by name
+ */
+export function getVideoProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown video provider "${name}". Expected one of: ${VIDEO_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Pick the provider for a generation: explicit request, then project setting, then environment default
+ */
+export function resolveProviderName({ requested, project } = {}) {
+  return requested || project?.videoSettings?.provider || config.videoProvider;
+}
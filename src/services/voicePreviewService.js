@@ -0,0 +1,66 @@
+import { googleTTSService } from './googleTTSService.js';
+import { ttsCacheService } from './ttsCacheService.js';
+
+// Sample sentence per language; other languages read the English one
+// Previews only ever say these, so they are for picking a narrator, not for voicing scripts for free
+const SAMPLE_TEXTS = {
+  en: 'Hi there! This is how I sound when I narrate your video.',
+  de: 'Hallo! So klinge ich, wenn ich Ihr Video spreche.',
+  es: '¡Hola! Así sueno cuando narro tu vídeo.',
+  fr: 'Bonjour ! Voici ma voix quand je raconte votre vidéo.',
+  it: 'Ciao! Ecco come suono quando racconto il tuo video.',
+  ja: 'こんにちは。動画のナレーションでは、このような声になります。',
+  nl: 'Hallo! Zo klink ik als ik je video inspreek.',
+  pt: 'Olá! É assim que eu soo ao narrar o seu vídeo.',
+};
+
+/**
+ * Voice catalogue and short audition samples
+ *
+ * Samples go through the TTS cache, so each voice, speed and pitch is synthesized once and then
+ * served straight from storage. Previews don't count against the voice-over quota.
+ */
+class VoicePreviewService {
+  /**
+   * Voices from the TTS catalogue, optionally for one language ('de-DE' or just 'de')
+   * @returns {Promise<Array<{name: string, languageCode: string, languageCodes: string[], gender: string, naturalSampleRateHertz: number}>>}
+   */
+  async listVoices(languageCode = null) {
+    const voices = await googleTTSService.listVoices(languageCode);
+    return voices.map((voice) => ({
+      name: voice.name,
+      languageCode: googleTTSService.getLanguageCode(voice.name),
+      languageCodes: voice.languageCodes,
+      gender: voice.gender,
+      naturalSampleRateHertz: voice.naturalSampleRateHertz,
+    }));
+  }
+
+  /**
+   * Audio URL for the voice's sample sentence, synthesizing it only the first time
+   * @returns {Promise<{voice: string, speed: number, pitch: number, text: string, audioUrl: string, cached: boolean}>}
+   */
+  async getPreview({ voice, speed = 1.0, pitch = 0 }) {
+    try {
+      await googleTTSService.validateVoice(voice);
+      googleTTSService.validateProsody({ speed, pitch });
+
+      const sample = this.getSampleText(googleTTSService.getLanguageCode(voice));
+      const speech = await googleTTSService.generateSpeech(sample, { voiceName: voice, rate: speed, pitch });
+      const audioUrl = await ttsCacheService.getAudioUrl(speech.cacheKey);
+      if (!audioUrl) {
+        throw new Error('Sample audio could not be stored');
+      }
+
+      return { voice, speed, pitch, text: sample, audioUrl, cached: speech.cached };
+    } catch (error) {
+      throw new Error(`Failed to preview voice: ${error.message}`);
+    }
+  }
+
+  getSampleText(languageCode) {
+    return SAMPLE_TEXTS[languageCode.split('-')[0]] || SAMPLE_TEXTS.en;
+  }
+}
+
+export const voicePreviewService = new VoicePreviewService();
@@ -0,0 +1,409 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { WebhookEndpoint, WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { getRetryDelay } from './retryPolicy.js';
+
+// Addresses webhooks may not reach: this host, private networks, link-local (cloud metadata) and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * dns.lookup that refuses blocked addresses
+ * Used for the connection itself, so a host that re-resolves to a private address after the check is still refused.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Outgoing webhooks: endpoint management, signed delivery, retries and a delivery log
+ *
+ * emit() records one WebhookDelivery per subscribed endpoint and attempts it right away.
+ * Failed attempts are retried with exponential backoff by the dispatcher started with start(),
+ * which claims due deliveries with a short lease so several processes can run it.
+ *
+ * Each request carries:
+ * - X-VeoFlow-Event: event name
+ * - X-VeoFlow-Delivery: delivery ID (stable across retries, use it to deduplicate)
+ * - X-VeoFlow-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the endpoint secret>
+ */
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.dispatching = false;
+  }
+
+  /**
+   * Register an endpoint; the generated secret is only returned here
+   */
+  async createEndpoint(userId, { url, events, description } = {}) {
+    try {
+      this.validateEvents(events);
+      await this.validateUrl(url);
+
+      const endpoint = await WebhookEndpoint.create({
+        userId,
+        url,
+        events: events?.length ? events : ['*'],
+        description: description || '',
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      });
+
+      return { ...endpoint.toObject(), secret: endpoint.secret };
+    } catch (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+  }
+
+  async listEndpoints(userId) {
+    return WebhookEndpoint.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Load an endpoint owned by the user
+   */
+  async getEndpoint(userId, endpointId) {
+    const endpoint = mongoose.isValidObjectId(endpointId)
+      ? await WebhookEndpoint.findOne({ _id: endpointId, userId })
+      : null;
+    if (!endpoint) {
+      throw new Error('Webhook not found');
+    }
+    return endpoint;
+  }
+
+  async updateEndpoint(userId, endpointId, { url, events, description, active } = {}) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    try {
+      this.validateEvents(events);
+      if (url !== undefined) await this.validateUrl(url);
+
+      if (url !== undefined) endpoint.url = url;
+      if (events !== undefined) endpoint.events = events.length ? events : ['*'];
+      if (description !== undefined) endpoint.description = description;
+      if (active !== undefined) endpoint.active = !!active;
+
+      await endpoint.save();
+      return endpoint;
+    } catch (error) {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+  }
+
+  async deleteEndpoint(userId, endpointId) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id, status: { $in: ['pending', 'delivering'] } });
+    await endpoint.deleteOne();
+    return endpoint;
+  }
+
+  /**
+   * Delivery log for an endpoint, newest first
+   */
+  async listDeliveries(userId, endpointId, { limit = 50, status } = {}) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    return WebhookDelivery.find({
+      endpointId: endpoint._id,
+      ...(status && { status }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200));
+  }
+
+  /**
+   * Send a test event to one endpoint, regardless of its subscriptions
+   */
+  async sendTestEvent(userId, endpointId) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    const [delivery] = await this.createDeliveries([endpoint], 'webhook.test', {
+      message: 'Test event from VeoFlow',
+    });
+    return this.attemptDelivery(delivery._id);
+  }
+
+  /**
+   * Notify a user's endpoints about an event
+   * Never throws: webhook problems must not break the code path that emitted the event
+   */
+  async emit(userId, event, data) {
+    try {
+      if (!mongoose.isValidObjectId(userId)) return;
+
+      const endpoints = await WebhookEndpoint.find({
+        userId,
+        active: true,
+        events: { $in: [event, '*'] },
+      });
+      if (endpoints.length === 0) return;
+
+      const deliveries = await this.createDeliveries(endpoints, event, data);
+      deliveries.forEach((delivery) => {
+        this.attemptDelivery(delivery._id).catch((error) =>
+          console.error(`Webhook delivery ${delivery._id} failed:`, error.message)
+        );
+      });
+    } catch (error) {
+      console.error(`Failed to emit webhook event ${event}:`, error.message);
+    }
+  }
+
+  async createDeliveries(endpoints, event, data) {
+    const createdAt = new Date();
+    return WebhookDelivery.insertMany(
+      endpoints.map((endpoint) => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+          _id,
+          endpointId: endpoint._id,
+          userId: endpoint.userId,
+          event,
+          payload: { id: _id.toString(), event, createdAt, data },
+          maxAttempts: config.webhookMaxAttempts,
+          nextAttemptAt: createdAt,
+        };
+      })
+    );
+  }
+
+  /**
+   * Claim a delivery and make one attempt
+   * @returns {Promise<object|null>} - The updated delivery, or null if another process holds it
+   */
+  async attemptDelivery(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        status: 'delivering',
+        lockedUntil: new Date(now.getTime() + config.webhookTimeoutMs * 2),
+      },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+    if (!endpoint) {
+      return WebhookDelivery.findByIdAndUpdate(
+        deliveryId,
+        { status: 'failed', lockedUntil: null, nextAttemptAt: null },
+        { new: true }
+      );
+    }
+
+    const attempt = await this.send(endpoint, delivery);
+    const attemptCount = delivery.attemptCount + 1;
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const willRetry = !succeeded && attemptCount < delivery.maxAttempts;
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(
+      deliveryId,
+      {
+        status: succeeded ? 'succeeded' : willRetry ? 'pending' : 'failed',
+        attemptCount,
+        lockedUntil: null,
+        nextAttemptAt: willRetry ? new Date(Date.now() + getRetryDelay(attemptCount)) : null,
+        ...(succeeded && { deliveredAt: new Date() }),
+        $push: { attempts: { attempt: attemptCount, ...attempt } },
+      },
+      { new: true }
+    );
+
+    if (succeeded || !willRetry) {
+      await WebhookEndpoint.findByIdAndUpdate(endpoint._id, {
+        lastDeliveryAt: new Date(),
+        lastDeliveryStatus: updated.status,
+      });
+    }
+    if (!succeeded) {
+      console.warn(
+        `Webhook ${delivery.event} to ${endpoint.url} failed (attempt ${attemptCount}/${delivery.maxAttempts}):`,
+        attempt.error || attempt.statusCode
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * POST a signed payload; resolves to the attempt log entry (never throws)
+   */
+  async send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      // Checked again on every send: DNS may have changed since the endpoint was registered
+      await this.validateUrl(endpoint.url);
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VeoFlow-Webhooks/1.0',
+          'X-VeoFlow-Event': delivery.event,
+          'X-VeoFlow-Delivery': delivery._id.toString(),
+          'X-VeoFlow-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`,
+        },
+        timeout: config.webhookTimeoutMs,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true,
+        responseType: 'stream',
+      });
+      // Only the status code is logged; don't read the body
+      response.data.destroy();
+
+      return {
+        statusCode: response.status,
+        error: null,
+        durationMs: Date.now() - startedAt,
+        attemptedAt: new Date(startedAt),
+      };
+    } catch (error) {
+      return {
+        statusCode: null,
+        error: error.code ? `${error.code}: ${error.message}` : error.message,
+        durationMs: Date.now() - startedAt,
+        attemptedAt: new Date(startedAt),
+      };
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature of "<timestamp>.<body>"
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatchDue(), config.webhookPollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async dispatchDue() {
+    if (this.dispatching) return;
+    this.dispatching = true;
+
+    try {
+      const now = new Date();
+      const due = await WebhookDelivery.find({
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lt: now } },
+        ],
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(20)
+        .select('_id');
+
+      for (const { _id } of due) {
+        await this.attemptDelivery(_id).catch((error) =>
+          console.error(`Webhook delivery ${_id} failed:`, error.message)
+        );
+      }
+    } catch (error) {
+      console.error('Webhook dispatcher failed:', error.message);
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  validateEvents(events) {
+    if (events === undefined) return;
+    if (!Array.isArray(events)) {
+      throw new Error('events must be an array');
+    }
+    const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook events: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Reject URLs that aren't http(s) or whose host is, or resolves to, a private, loopback or link-local address
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('url must be an http or https URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('url must be an http or https URL');
+    }
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true }).catch(() => {
+          throw new Error(`Cannot resolve webhook host ${hostname}`);
+        })).map(({ address }) => address);
+
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      throw new Error(`Webhook URL must not point to a private, loopback or link-local address (${blocked})`);
+    }
+  }
+}
+
+export const webhookService = new WebhookService();
@@ -136,6 +136,46 @@ const options = {
                   type: 'string',
                   enum: ['720p', '1080p', '4k'],
                 },
+                provider: {
+                  type: 'string',
+                  enum: ['veo', 'replicate', 'local'],
+                  description: 'Video generation backend; defaults to VIDEO_PROVIDER',
+                },
+                audioTrack: {
+                  type: 'object',
+                  description: 'Background music mixed under the compiled video, ducked under voice-overs',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    audioUrl: {
+                      type: 'string',
+                      readOnly: true,
+                      description: 'Set by POST /api/projects/{projectId}/soundtrack/upload',
+                    },
+                    volume: { type: 'number', minimum: 0, maximum: 1, description: 'Music gain (default 0.3)' },
+                  },
+                },
+                captions: {
+                  type: 'object',
+                  description: 'Captions built from scene scripts (SRT/WebVTT via /api/videos/captions/{projectId})',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    burnIn: { type: 'boolean', description: 'Burn captions into the compiled video' },
+                    style: { type: 'string', enum: ['classic', 'boxed', 'bold'], default: 'classic' },
+                    fontSize: { type: 'string', enum: ['small', 'medium', 'large'], default: 'medium' },
+                  },
+                },
+                loudness: {
+                  type: 'object',
+                  description: 'Loudness normalization of the compiled mix (two-pass EBU R128 with a true-peak limiter)',
+                  properties: {
+                    preset: {
+                      type: 'string',
+                      enum: ['web', 'podcast', 'broadcast', 'off'],
+                      default: 'web',
+                      description: 'web -14 LUFS, podcast -16 LUFS, broadcast -23 LUFS',
+                    },
+                  },
+                },
               },
             },
           },
@@ -156,14 +196,62 @@ const options = {
               items: { type: 'string' },
             },
             finalVideoUrl: { type: 'string' },
-            totalDuration: { type: 'number' },
+            totalDuration: { type: 'number', description: 'Milliseconds' },
+            metadata: {
+              type: 'object',
+              properties: {
+                processingTimeMs: { type: 'number' },
+                loudness: { $ref: '#/components/schemas/LoudnessReport' },
+              },
+            },
             viewCount: { type: 'number' },
             downloadCount: { type: 'number' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        LoudnessReport: {
+          type: 'object',
+          nullable: true,
+          description: 'Loudness of the last compile before (input) and after (output) normalization; null when off',
+          properties: {
+            preset: { type: 'string' },
+            targetLufs: { type: 'number', example: -14 },
+            truePeakLimit: { type: 'number', example: -1, description: 'dBTP' },
+            normalized: { type: 'boolean', description: 'False when the mix was silent and left unchanged' },
+            input: { $ref: '#/components/schemas/LoudnessLevels' },
+            output: { $ref: '#/components/schemas/LoudnessLevels' },
+            measuredAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LoudnessLevels: {
+          type: 'object',
+          properties: {
+            integrated: { type: 'number', nullable: true, description: 'LUFS' },
+            truePeak: { type: 'number', nullable: true, description: 'dBTP' },
+            range: { type: 'number', nullable: true, description: 'LU' },
+          },
+        },
         // Scene Schemas
+        KenBurns: {
+          type: 'object',
+          description: 'Pan and zoom for image scenes: zoom from startZoom to endZoom while the view centre moves from (startX, startY) to (endX, endY), as fractions of the image size',
+          properties: {
+            startZoom: { type: 'number', minimum: 1, maximum: 3, default: 1.0 },
+            endZoom: { type: 'number', minimum: 1, maximum: 3, default: 1.15 },
+            startX: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            startY: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            endX: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            endY: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+          },
+        },
+        ColorCard: {
+          type: 'object',
+          properties: {
+            color: { type: 'string', default: 'black', example: '#1e3a8a', description: 'Color name or #RRGGBB' },
+            text: { type: 'string', nullable: true, description: 'Defaults to the scene title' },
+          },
+        },
         SceneRequest: {
           type: 'object',
           required: ['script'],
@@ -171,7 +259,30 @@ const options = {
             title: { type: 'string' },
             description: { type: 'string' },
             script: { type: 'string' },
+            narration: {
+              type: 'string',
+              description: 'What the voice-over says, if different from the script (validated; errors give line and column)',
+            },
+            narrationFormat: {
+              type: 'string',
+              enum: ['text', 'ssml', 'markup'],
+              default: 'ssml',
+            },
             duration: { type: 'number' },
+            sourceType: {
+              type: 'string',
+              enum: ['generated', 'uploaded-video', 'image', 'color-card'],
+              default: 'generated',
+              description: 'Switching resets the scene clip; footage and images are added with the source upload endpoint',
+            },
+            stillDuration: {
+              type: 'number',
+              minimum: 1000,
+              maximum: 60000,
+              description: 'Milliseconds an image or color card is shown when the scene has no voice-over',
+            },
+            kenBurns: { $ref: '#/components/schemas/KenBurns' },
+            colorCard: { $ref: '#/components/schemas/ColorCard' },
             stylePreset: {
               type: 'string',
               enum: ['minimal', 'corporate', 'playful', 'professional', 'tech'],
@@ -182,13 +293,11 @@ const options = {
                 enabled: { type: 'boolean' },
                 voice: {
                   type: 'string',
-                  enum: [
-                    'en-US-Neural2-A',
-                    'en-US-Neural2-C',
-                    'en-US-Neural2-E',
-                  ],
+                  example: 'de-DE-Neural2-B',
+                  description: 'Any Text-to-Speech voice name; the narration language is taken from it',
                 },
                 speed: { type: 'number', minimum: 0.5, maximum: 2.0 },
+                pitch: { type: 'number', minimum: -20, maximum: 20, description: 'Semitones' },
               },
             },
           },
@@ -202,22 +311,64 @@ const options = {
             title: { type: 'string' },
             description: { type: 'string' },
             script: { type: 'string' },
-            duration: { type: 'number' },
+            narration: { type: 'string', nullable: true },
+            narrationFormat: { type: 'string', enum: ['text', 'ssml', 'markup'] },
+            duration: { type: 'number', description: 'Milliseconds, measured from the clip and voice-over' },
+            sourceType: { type: 'string', enum: ['generated', 'uploaded-video', 'image', 'color-card'] },
+            sourceImageUrl: { type: 'string', nullable: true, description: 'The uploaded still of an image scene' },
+            sourceImageGcsFileName: { type: 'string', nullable: true },
+            stillDuration: { type: 'number' },
+            kenBurns: { $ref: '#/components/schemas/KenBurns' },
+            colorCard: { $ref: '#/components/schemas/ColorCard' },
             videoUrl: { type: 'string' },
             videoStatus: {
               type: 'string',
-              enum: ['pending', 'generating', 'completed', 'failed'],
+              enum: ['pending', 'generating', 'completed', 'degraded', 'failed', 'cancelled'],
             },
-            voiceOverUrl: { type: 'string' },
+            voiceOverUrl: { type: 'string', description: 'Signed GCS URL (valid 24h), or /uploads/voiceovers/... without GCS' },
+            voiceOverGcsFileName: { type: 'string', nullable: true },
+            voiceOverUrlExpiresAt: { type: 'string', format: 'date-time', nullable: true },
             voiceOverStatus: {
               type: 'string',
               enum: ['pending', 'generating', 'completed', 'failed'],
             },
+            voiceOverSource: {
+              type: 'string',
+              enum: ['tts', 'upload'],
+              description: 'Synthesized from the script, or an uploaded recording (which has no word timings)',
+            },
+            voiceOverTimings: {
+              type: 'object',
+              description: 'Speech timing from TTS, in ms from the start of the voice-over (for captions and word highlighting)',
+              properties: {
+                words: { type: 'array', items: { $ref: '#/components/schemas/SpeechTiming' } },
+                sentences: { type: 'array', items: { $ref: '#/components/schemas/SpeechTiming' } },
+                durationMs: { type: 'number', nullable: true, description: 'When speech ends' },
+              },
+            },
+            fitMode: {
+              type: 'string',
+              enum: ['freeze', 'loop'],
+              description: 'How a clip shorter than its voice-over is extended',
+            },
+            assembledVideoUrl: {
+              type: 'string',
+              nullable: true,
+              description: 'Clip fitted to the voice-over with the narration muxed in',
+            },
             stylePreset: { type: 'string' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        SpeechTiming: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            startMs: { type: 'number' },
+            endMs: { type: 'number' },
+          },
+        },
         // Video Generation Schemas
         VideoGenerationRequest: {
           type: 'object',
@@ -237,14 +388,50 @@ const options = {
               type: 'string',
               enum: ['16:9', '9:16', '1:1'],
             },
+            failurePolicy: {
+              type: 'string',
+              enum: ['fail', 'placeholder', 'fallback-provider'],
+              description: 'What to do once retries are exhausted (defaults to GENERATION_FAILURE_POLICY)',
+            },
+            seed: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 4294967295,
+              description: 'Fixed seed; the same prompt, settings and seed render the same video',
+            },
+            reuse: {
+              type: 'string',
+              enum: ['auto', 'offer', 'off'],
+              description: 'When an identical completed generation exists: reuse its video, return it without generating, or ignore it (defaults to GENERATION_REUSE, offer unless configured)',
+            },
+            force: {
+              type: 'boolean',
+              default: false,
+              description: 'Always start a new generation, even if an identical one exists',
+            },
           },
         },
         VoiceOverRequest: {
           type: 'object',
-          required: ['sceneId', 'projectId'],
+          description: 'Pass sceneId to voice a scene with its saved voice settings, or text for a preview that is not saved',
           properties: {
             sceneId: { type: 'string' },
             projectId: { type: 'string' },
+            text: { type: 'string', description: 'Free-text preview; ignored when sceneId is given' },
+            format: {
+              type: 'string',
+              enum: ['text', 'ssml', 'markup'],
+              default: 'text',
+              description: 'How to read text: plain text, SSML, or narration markup',
+            },
+            voice: { type: 'string', example: 'en-US-Neural2-C', description: 'Preview voice (any Text-to-Speech voice)' },
+            voiceType: {
+              type: 'string',
+              enum: ['male-professional', 'female-professional', 'male-casual', 'female-casual'],
+              description: 'Preview voice preset, used when voice is not given',
+            },
+            speed: { type: 'number', minimum: 0.5, maximum: 2.0, default: 1.0 },
+            pitch: { type: 'number', minimum: -20, maximum: 20, default: 0 },
           },
         },
         JobStatus: {
@@ -253,13 +440,140 @@ const options = {
             jobId: { type: 'string' },
             status: {
               type: 'string',
-              enum: ['queued', 'processing', 'completed', 'failed'],
+              enum: ['queued', 'processing', 'completed', 'degraded', 'failed', 'cancelled'],
+            },
+            provider: {
+              type: 'string',
+              enum: ['veo', 'replicate', 'local'],
             },
+            failurePolicy: {
+              type: 'string',
+              enum: ['fail', 'placeholder', 'fallback-provider'],
+            },
+            fallbackFrom: { type: 'string', nullable: true },
+            reusedFromJobId: { type: 'string', nullable: true, description: 'Earlier identical job whose video was reused' },
             progress: { type: 'number', minimum: 0, maximum: 100 },
             estimatedTimeRemaining: { type: 'number' },
+            error: { type: 'string', nullable: true },
+            retryCount: { type: 'number' },
+            maxRetries: { type: 'number' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            retryHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'number' },
+                  errorMessage: { type: 'string' },
+                  errorType: { type: 'string', enum: ['transient', 'permanent'] },
+                  statusCode: { type: 'number', nullable: true },
+                  provider: { type: 'string' },
+                  failedAt: { type: 'string', format: 'date-time' },
+                  nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                },
+              },
+            },
+            videoUrl: { type: 'string', nullable: true },
+            localPath: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        JobEvent: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['status', 'progress', 'error'] },
+            jobId: { type: 'string' },
+            projectId: { type: 'string', nullable: true },
+            sceneId: { type: 'string', nullable: true },
+            status: {
+              type: 'string',
+              enum: ['queued', 'processing', 'completed', 'degraded', 'failed', 'cancelled'],
+            },
+            provider: { type: 'string' },
+            progress: { type: 'number', minimum: 0, maximum: 100 },
+            error: { type: 'string', nullable: true },
+            retryCount: { type: 'number' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            videoUrl: { type: 'string', nullable: true },
+            localPath: { type: 'string', nullable: true },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+        // Webhooks
+        WebhookRequest: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            description: { type: 'string' },
+            events: {
+              type: 'array',
+              description: 'Events to receive; omit or use ["*"] for all',
+              items: {
+                type: 'string',
+                enum: [
+                  '*',
+                  'scene.video.completed',
+                  'scene.video.degraded',
+                  'job.failed',
+                  'job.cancelled',
+                  'voiceover.completed',
+                  'project.compiled',
+                ],
+              },
+            },
+            active: { type: 'boolean' },
+          },
+        },
+        WebhookEndpoint: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            url: { type: 'string' },
+            description: { type: 'string' },
+            events: { type: 'array', items: { type: 'string' } },
+            secret: { type: 'string', description: 'Only returned when the webhook is created' },
+            active: { type: 'boolean' },
+            lastDeliveryAt: { type: 'string', format: 'date-time', nullable: true },
+            lastDeliveryStatus: { type: 'string', enum: ['succeeded', 'failed'], nullable: true },
             createdAt: { type: 'string', format: 'date-time' },
           },
         },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            endpointId: { type: 'string' },
+            event: { type: 'string' },
+            payload: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                event: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                data: { type: 'object' },
+              },
+            },
+            status: { type: 'string', enum: ['pending', 'delivering', 'succeeded', 'failed'] },
+            attemptCount: { type: 'number' },
+            maxAttempts: { type: 'number' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            attempts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'number' },
+                  statusCode: { type: 'number', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  durationMs: { type: 'number' },
+                  attemptedAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
         // Quota & Analytics
         QuotaInfo: {
           type: 'object',
@@ -292,6 +606,57 @@ const options = {
             },
           },
         },
+        Voice: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'de-DE-Neural2-B' },
+            languageCode: { type: 'string', example: 'de-DE', description: 'The language the voice speaks' },
+            languageCodes: { type: 'array', items: { type: 'string' } },
+            gender: { type: 'string', enum: ['MALE', 'FEMALE', 'NEUTRAL', 'SSML_VOICE_GENDER_UNSPECIFIED'] },
+            naturalSampleRateHertz: { type: 'number', example: 24000 },
+          },
+        },
+        VoicePreviewRequest: {
+          type: 'object',
+          required: ['voice'],
+          properties: {
+            voice: { type: 'string', example: 'en-US-Neural2-C' },
+            speed: { type: 'number', minimum: 0.5, maximum: 2.0, default: 1.0 },
+            pitch: { type: 'number', minimum: -20, maximum: 20, default: 0, description: 'Semitones' },
+          },
+        },
+        // Pronunciation Lexicon
+        LexiconEntryRequest: {
+          type: 'object',
+          required: ['term', 'type'],
+          properties: {
+            projectId: { type: 'string', description: 'Omit for a workspace-wide entry' },
+            term: { type: 'string', example: 'VeoFlow' },
+            type: { type: 'string', enum: ['phoneme', 'substitution'] },
+            phoneme: { type: 'string', example: 'ˈviːoʊfloʊ' },
+            alphabet: { type: 'string', enum: ['ipa', 'x-sampa'], default: 'ipa' },
+            substitution: { type: 'string', example: 'vee oh flow' },
+            caseSensitive: { type: 'boolean', default: false },
+            languageCode: { type: 'string', description: "Only for voices of this language ('en' or 'en-GB')" },
+          },
+        },
+        LexiconEntry: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            userId: { type: 'string' },
+            projectId: { type: 'string', nullable: true },
+            term: { type: 'string' },
+            type: { type: 'string', enum: ['phoneme', 'substitution'] },
+            phoneme: { type: 'string', nullable: true },
+            alphabet: { type: 'string', enum: ['ipa', 'x-sampa'] },
+            substitution: { type: 'string', nullable: true },
+            caseSensitive: { type: 'boolean' },
+            languageCode: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
         // Error Response
         ErrorResponse: {
           type: 'object',
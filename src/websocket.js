@@ -0,0 +1,111 @@
+import { WebSocketServer } from 'ws';
+import mongoose from 'mongoose';
+import { config } from './config.js';
+import { DEV_USER_ID, verifyToken } from './middleware/auth.js';
+import { Project } from './models/Project.js';
+import { VideoGenerationJob } from './models/VideoGenerationJob.js';
+import { jobEventService } from './services/jobEventService.js';
+
+// Clients connect to /ws/projects/:projectId?token=<jwt>
+const PROJECT_CHANNEL = /^\/ws\/projects\/([^/]+)\/?$/;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Attach the project WebSocket channel to the HTTP server
+ * Each connection receives every job event for one project, starting with the jobs still in flight
+ */
+export function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(PROJECT_CHANNEL);
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    const projectId = match[1];
+    const userId = await authorizeProject(projectId, url.searchParams.get('token')).catch(() => null);
+    if (!userId) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, projectId);
+    });
+  });
+
+  wss.on('connection', async (ws, projectId) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const send = (event) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(event));
+      }
+    };
+    const unsubscribe = jobEventService.subscribeToProject(projectId, send);
+    ws.on('close', unsubscribe);
+
+    // Current state of the project's unfinished jobs, so clients don't miss earlier updates
+    try {
+      const jobs = await VideoGenerationJob.find({
+        projectId,
+        status: { $in: ['queued', 'processing'] },
+      });
+      jobs.forEach((job) => send(jobEventService.toEvent(job, 'status')));
+    } catch (error) {
+      console.error(`Failed to load jobs for project ${projectId}:`, error.message);
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log('WebSocket project channel ready at /ws/projects/:projectId');
+  return wss;
+}
+
+/**
+ * Resolve the user for a connection and check they can see the project
+ * In development mode, authentication and ownership checks are skipped (as in authMiddleware)
+ * @returns {Promise<string|null>} - User ID, or null when access is denied
+ */
+async function authorizeProject(projectId, token) {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return null;
+  }
+  if (config.nodeEnv === 'development') {
+    return DEV_USER_ID;
+  }
+
+  const decoded = token ? verifyToken(token) : null;
+  if (!decoded) {
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+  if (
+    !project ||
+    (project.userId.toString() !== decoded.userId &&
+      !project.sharedWith.some((item) => item.userId?.toString() === decoded.userId))
+  ) {
+    return null;
+  }
+  return decoded.userId;
+}
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { connectDB } from './db.js';
+import { jobWorker } from './services/jobWorker.js';
+import { compilationService } from './services/compilationService.js';
+import { webhookService } from './services/webhookService.js';
+
+/**
+ * Standalone generation and compilation worker
+ * Run one or more of these alongside the API (with EMBEDDED_WORKER=false on the API)
+ */
+async function startWorker() {
+  await connectDB();
+  jobWorker.start();
+  compilationService.start();
+  webhookService.start();
+
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, stopping job worker`);
+    try {
+      await jobWorker.stop();
+      compilationService.stop();
+      webhookService.stop();
+      await mongoose.disconnect();
+    } catch (error) {
+      console.error('Error during worker shutdown:', error);
+    }
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+startWorker();